@@ -41,7 +41,7 @@ console.log('🚀 ABI Codec Usage Examples\n');
 // 1. Encode function calls
 console.log('1. Encoding function calls:');
 const transferCalldata = codec.encodeFunction('transfer', [
-  '0x742d35Cc6634C0532925a3b8D8e9eED89B7A6de6',  // to address
+  '0x742D35Cc6634c0532925a3b8D8E9EeD89b7A6dE6',  // to address
   BigInt('1000000000000000000')                      // 1 ETH in wei
 ]);
 console.log('Transfer calldata:', transferCalldata);
@@ -0,0 +1,749 @@
+const { keccak256 } = require('ethers');
+const Encoder = require('./encoder');
+const Decoder = require('./decoder');
+const { parseABI, getFunctionSelector, getEventSelector, getFunctionSignature, getEventSignature, parseArrayType, bufferToHex, isHex, hasValidChecksum } = require('./utils');
+const { BUILTIN_ERRORS, getPanicDescription } = require('./revert');
+const { formatFragment } = require('./fragment');
+const PreimageDictionary = require('./preimage');
+const { ValueFormatter } = require('./format');
+const { decodeReceipt, mergeReceiptResults } = require('./receipt');
+const { getStandardABI } = require('./standards');
+const { getTypedDataTypes } = require('./eip712');
+const { ABICodecError, UnknownFragmentError, AmbiguousOverloadError, InvalidValueError, DecodingError } = require('./errors');
+
+class ABICodec {
+  // options.strict: validate bounds, padding and offsets when decoding
+  // options.resolvePreimage(hash, param): look up preimages of hashed indexed params
+  // options.learnPreimages: remember strings, bytes and structs seen in decoded
+  // calldata, results and log data as preimages (see `this.preimages`)
+  // options.format: representation of decoded values, a preset ('strings',
+  // 'bigint', 'ethers', 'json-safe') or conversions (see lib/format.js)
+  // options.checksumAddresses: decode addresses with their EIP-55 checksum
+  // options.resolveName(name): address for ENS-style names given as address inputs
+  constructor(abi, options = {}) {
+    this.abi = parseABI(abi);
+    // Keyed by selector/topic0 and by full signature; names map to every overload
+    this.functions = new Map();
+    this.events = new Map();
+    this.errors = new Map();
+    this.functionsByName = new Map();
+    this.eventsByName = new Map();
+    this.errorsByName = new Map();
+    this.anonymousEvents = [];
+    
+    // Pre-compile function, event and error info for performance
+    this._compileFunctions();
+    this._compileEvents();
+    this._compileErrors();
+    // ABIs without a constructor entry deploy with no arguments
+    this.constructorFragment = this.abi.find(item => item.type === 'constructor') ||
+      { type: 'constructor', inputs: [], stateMutability: 'nonpayable' };
+    
+    this.options = { strict: false, ...options };
+    this.encoder = new Encoder({ resolveName: this.options.resolveName });
+    this.decoder = new Decoder({ strict: this.options.strict });
+    // Anonymous events are matched by attempting a strict decode
+    this.strictDecoder = this.options.strict ? this.decoder : new Decoder({ strict: true });
+    this.preimages = new PreimageDictionary(this.encoder);
+    // The decoders keep the default shape, which preimage learning relies on
+    this.formatter = ValueFormatter.fromOptions(this.options);
+  }
+  
+  // Codec for a bundled standard interface: erc20, erc721, erc1155, erc4626,
+  // weth, uniswapV2Pair, uniswapV3Pool or multicall3
+  static fromStandard(name, options = {}) {
+    return new ABICodec(getStandardABI(name), options);
+  }
+  
+  _compileFunctions() {
+    for (const item of this.abi) {
+      if (item.type === 'function') {
+        this.functions.set(getFunctionSelector(item), item);
+        this.functions.set(getFunctionSignature(item), item);
+        // Overloads share a name, so names map to a list
+        addToList(this.functionsByName, item.name, item);
+      }
+    }
+    addNameKeys(this.functions, this.functionsByName);
+  }
+  
+  _compileEvents() {
+    for (const item of this.abi) {
+      if (item.type === 'event') {
+        // Anonymous events never emit their topic hash, so only signature and name find them
+        if (item.anonymous) {
+          this.anonymousEvents.push(item);
+        } else {
+          this.events.set(getEventSelector(item), item);
+        }
+        this.events.set(getEventSignature(item), item);
+        addToList(this.eventsByName, item.name, item);
+      }
+    }
+    addNameKeys(this.events, this.eventsByName);
+  }
+  
+  _compileErrors() {
+    // Custom errors are hashed like functions: 4-byte selector of the signature
+    const abiErrors = this.abi.filter(item => item.type === 'error');
+    for (const item of [...abiErrors, ...BUILTIN_ERRORS]) {
+      const selector = getFunctionSelector(item);
+      if (this.errors.has(selector)) continue; // ABI entries take precedence over built-ins
+      this.errors.set(selector, item);
+      this.errors.set(getFunctionSignature(item), item);
+      addToList(this.errorsByName, item.name, item);
+    }
+    addNameKeys(this.errors, this.errorsByName);
+  }
+  
+  // Run an encode/decode step, tagging errors with the ABI fragment involved
+  _withFragment(fragment, fn) {
+    try {
+      return fn();
+    } catch (error) {
+      if (error instanceof ABICodecError) {
+        if (!error.fragment) error.fragment = fragment;
+        throw error;
+      }
+      throw new ABICodecError(error.message, { fragment, cause: error });
+    }
+  }
+  
+  _getFunction(key, options) {
+    return this._getSelectorFragment(this.functions, this.functionsByName, 'Function', key, options);
+  }
+  
+  _getError(key, options) {
+    return this._getSelectorFragment(this.errors, this.errorsByName, 'Error', key, options);
+  }
+  
+  // Resolve a function or error by selector, full signature or bare name.
+  // Overloaded names are narrowed down by `args` (count, then encodability)
+  // or by the selector at the start of `data`.
+  _getSelectorFragment(table, byName, kind, key, { args, data } = {}) {
+    const fragment = table.get(normalizeFragmentKey(key));
+    if (fragment) return fragment;
+
+    let candidates = byName.get(key) || [];
+    if (candidates.length === 0) {
+      throw new UnknownFragmentError(`${kind} not found: ${key}`);
+    }
+
+    if (candidates.length > 1 && typeof data === 'string') {
+      const selector = data.slice(0, 10).toLowerCase();
+      candidates = candidates.filter(item => getFunctionSelector(item) === selector);
+    }
+
+    if (candidates.length > 1 && Array.isArray(args)) {
+      candidates = candidates.filter(item => item.inputs.length === args.length);
+      if (candidates.length > 1) {
+        candidates = candidates.filter(item => this._canEncode(item.inputs, args));
+      }
+      if (candidates.length > 1) {
+        // e.g. a 20-byte hex string encodes as uint256 too, but reads as an address
+        const natural = candidates.filter(item => item.inputs.every((input, i) => isNaturalValue(input, args[i])));
+        if (natural.length === 1) candidates = natural;
+      }
+    }
+
+    return this._pickCandidate(key, candidates, kind, getFunctionSignature);
+  }
+  
+  // Resolve an event by topic0, full signature or bare name. Overloaded names
+  // are narrowed down by topic0 or by the number of topics.
+  _getEvent(key, topics) {
+    const event = this.events.get(normalizeFragmentKey(key));
+    if (event) return event;
+
+    let candidates = this.eventsByName.get(key) || [];
+    if (candidates.length === 0) {
+      throw new UnknownFragmentError(`Event not found: ${key}`);
+    }
+
+    if (candidates.length > 1 && Array.isArray(topics) && topics.length > 0) {
+      const byTopic = candidates.filter(item => getEventSelector(item) === String(topics[0]).toLowerCase());
+      candidates = byTopic.length > 0
+        ? byTopic
+        : candidates.filter(item => getTopicCount(item) === topics.length);
+    }
+
+    return this._pickCandidate(key, candidates, 'Event', getEventSignature);
+  }
+  
+  // Resolve the event that emitted a log: by topic0, or else by trying the
+  // anonymous events whose topic count, data length and strict decode fit
+  _findEvent(data, topics) {
+    const event = topics.length > 0 && this.events.get(normalizeFragmentKey(topics[0]));
+    if (event) return event;
+
+    const candidates = this._matchAnonymousEvents(data, topics);
+    if (candidates.length === 1) return candidates[0];
+
+    if (candidates.length === 0) {
+      throw new UnknownFragmentError(topics.length > 0
+        ? `Event not found: ${topics[0]}`
+        : 'Event not found: no name or topics given');
+    }
+
+    const signatures = candidates.map(getEventSignature);
+    throw new AmbiguousOverloadError(
+      `Ambiguous anonymous event log: matches ${signatures.join(', ')}`,
+      { candidates: signatures }
+    );
+  }
+  
+  // Event of this ABI that emitted a log, matched by topic0 (or by shape for
+  // anonymous events) and by topic count; null when none fits. Tells apart
+  // events sharing topic0, e.g. ERC20 and ERC721 Transfer.
+  findLogEvent(data, topics) {
+    let event;
+    try {
+      event = this._findEvent(data, topics);
+    } catch (error) {
+      if (error instanceof UnknownFragmentError) return null;
+      throw error;
+    }
+    return getTopicCount(event) === topics.length ? event : null;
+  }
+  
+  _matchAnonymousEvents(data, topics) {
+    const dataLength = data && data !== '0x' ? (data.length - 2) / 2 : 0;
+
+    return this.anonymousEvents.filter(event => {
+      if (getTopicCount(event) !== topics.length) return false;
+
+      const nonIndexed = event.inputs.filter(input => !input.indexed);
+      const headSize = this.decoder.getHeadSize(nonIndexed);
+      const isDynamic = nonIndexed.some(input => this.decoder.isDynamicType(input));
+      if (isDynamic ? dataLength < headSize || dataLength % 32 !== 0 : dataLength !== headSize) {
+        return false;
+      }
+
+      try {
+        this.strictDecoder.decodeLog(event, data, topics);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+  
+  _pickCandidate(key, candidates, kind, getSignature) {
+    if (candidates.length === 1) return candidates[0];
+
+    if (candidates.length === 0) {
+      throw new UnknownFragmentError(`No overload of ${kind.toLowerCase()} ${key} matches the given arguments`);
+    }
+
+    const signatures = candidates.map(getSignature);
+    throw new AmbiguousOverloadError(
+      `Ambiguous ${kind.toLowerCase()} ${key}: use one of ${signatures.join(', ')}`,
+      { candidates: signatures }
+    );
+  }
+  
+  _canEncode(inputs, args) {
+    try {
+      this.encoder.encodeParameters(inputs, args);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Get function selector (4-byte signature) by name, signature or selector
+  getFunctionSelector(nameOrSignature) {
+    return getFunctionSelector(this._getFunction(nameOrSignature));
+  }
+  
+  // Get event selector (32-byte topic hash) by name, signature or topic
+  getEventSelector(nameOrSignature) {
+    return getEventSelector(this._getEvent(nameOrSignature));
+  }
+  
+  // Encode function call data
+  encodeFunction(nameOrSelector, params = []) {
+    const func = this._getFunction(nameOrSelector, { args: params });
+    const selector = getFunctionSelector(func);
+      
+    const encoded = this._withFragment(func, () => this.encoder.encodeParameters(func.inputs, params));
+    return selector + encoded.slice(2); // Remove 0x from encoded params
+  }
+  
+  // Decode function call data
+  decodeFunction(nameOrSelector, data) {
+    const func = this._getFunction(nameOrSelector, { data });
+    
+    if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) {
+      throw new DecodingError('Calldata too short for a function selector', { fragment: func });
+    }
+    
+    if (this.options.strict && data.slice(0, 10).toLowerCase() !== getFunctionSelector(func)) {
+      throw new DecodingError(`Selector mismatch: expected ${getFunctionSelector(func)}, got ${data.slice(0, 10)}`, { offset: 0, fragment: func });
+    }
+    
+    // Remove function selector (first 4 bytes)
+    const paramData = '0x' + data.slice(10);
+    const values = this._withFragment(func, () => this.decoder.decodeParameters(func.inputs, paramData));
+    this._learnPreimages(func.inputs, values);
+    return this.formatter.formatList(func.inputs, values);
+  }
+  
+  // Decode function return data
+  decodeFunctionResult(nameOrSelector, data) {
+    const func = this._getFunction(nameOrSelector);
+    
+    const values = this._withFragment(func, () => this.decoder.decodeParameters(func.outputs || [], data));
+    this._learnPreimages(func.outputs || [], values);
+    return this.formatter.formatList(func.outputs || [], values);
+  }
+  
+  // Build contract-creation data: creation bytecode followed by the encoded constructor arguments
+  encodeDeploy(bytecode, params = []) {
+    const fragment = this.constructorFragment;
+    const code = normalizeBytecode(bytecode, 'bytecode');
+    const encoded = this._withFragment(fragment, () => this.encoder.encodeParameters(fragment.inputs, params));
+    return code + encoded.slice(2);
+  }
+  
+  // Decode the constructor arguments appended to `bytecode` in observed creation input
+  decodeDeployArgs(initCode, bytecode) {
+    const fragment = this.constructorFragment;
+    const input = normalizeBytecode(initCode, 'initCode');
+    const code = normalizeBytecode(bytecode, 'bytecode');
+    
+    if (!input.startsWith(code)) {
+      throw new DecodingError('Init code does not start with the given bytecode', { fragment });
+    }
+    
+    const argsData = '0x' + input.slice(code.length);
+    const values = this._withFragment(fragment, () => this.decoder.decodeParameters(fragment.inputs, argsData));
+    this._learnPreimages(fragment.inputs, values);
+    return this.formatter.formatList(fragment.inputs, values);
+  }
+  
+  // Encode revert data for a custom error (or the built-in Error/Panic), e.g. for mocks
+  encodeError(nameOrSelector, params = []) {
+    const error = this._getError(nameOrSelector, { args: params });
+    const encoded = this._withFragment(error, () => this.encoder.encodeParameters(error.inputs, params));
+    return getFunctionSelector(error) + encoded.slice(2);
+  }
+  
+  // Decode revert data into { name, signature, selector, args } using the ABI's
+  // custom errors plus Error(string) and Panic(uint256). Returns null for empty
+  // revert data (e.g. a bare `revert()`).
+  decodeError(revertData) {
+    if (!revertData || revertData === '0x') {
+      return null;
+    }
+    if (typeof revertData !== 'string' || !revertData.startsWith('0x') || revertData.length < 10) {
+      throw new DecodingError('Revert data too short for an error selector');
+    }
+    
+    const selector = revertData.slice(0, 10).toLowerCase();
+    const error = this.errors.get(selector);
+    if (!error) {
+      throw new UnknownFragmentError(`Error not found: ${selector}`);
+    }
+    
+    const values = this._withFragment(error, () => this.decoder.decodeParameters(error.inputs, '0x' + revertData.slice(10)));
+    const args = this.formatter.formatRecord(error.inputs, values);
+    
+    const result = { name: error.name, signature: getFunctionSignature(error), selector, args };
+    if (error === BUILTIN_ERRORS[1]) {
+      result.description = getPanicDescription(values[0]);
+    }
+    return result;
+  }
+  
+  // Decode event log
+  decodeLog(data, topics, nameOrTopic0) {
+    const event = nameOrTopic0
+      ? this._getEvent(nameOrTopic0, topics)
+      : this._findEvent(data, topics || []);
+    
+    return this._decodeEventLog(event, data, topics);
+  }
+  
+  // _decodeEventLog for a log already matched to `event`, rejecting missing
+  // data, which the lenient decoder would leave as undefined args
+  _decodeLogData(event, data, topics) {
+    if ((!data || data === '0x') && event.inputs.some(input => !input.indexed)) {
+      throw new DecodingError(`Log has no data for the non-indexed params of ${getEventSignature(event)}`, { fragment: event });
+    }
+    return this._decodeEventLog(event, data, topics);
+  }
+  
+  _decodeEventLog(event, data, topics) {
+    const decoded = this._withFragment(event, () => this.decoder.decodeLog(event, data, topics));
+    
+    if (this.options.learnPreimages || this.options.resolvePreimage) {
+      // Learn from the data first: events often carry a value both indexed and not
+      const keys = event.inputs.map((input, i) => input.name || `field${i}`);
+      const nonIndexed = event.inputs.filter(input => !input.indexed);
+      this._learnPreimages(nonIndexed, nonIndexed.map(input => decoded.args[keys[event.inputs.indexOf(input)]]));
+      
+      event.inputs.forEach((param, i) => {
+        const hash = decoded.args[keys[i]];
+        if (!param.indexed || !this.encoder.isHashedTopic(param) || typeof hash !== 'string') return;
+        
+        const value = this._lookupPreimage(hash, param);
+        if (value !== undefined) {
+          decoded.args[keys[i]] = { hash, value };
+        }
+      });
+    }
+    
+    decoded.args = this.formatter.formatLogArgs(event.inputs, decoded.args);
+    return decoded;
+  }
+  
+  _learnPreimages(params, values) {
+    if (this.options.learnPreimages) {
+      this.preimages.learn(params, values);
+    }
+  }
+  
+  // The user resolver is asked first, then the learned dictionary
+  _lookupPreimage(hash, param) {
+    if (this.options.resolvePreimage) {
+      const value = this.options.resolvePreimage(hash, param);
+      if (value !== undefined && value !== null) return value;
+    }
+    return this.options.learnPreimages ? this.preimages.get(hash) : undefined;
+  }
+  
+  // Encode an event as a log { topics, data }, the inverse of decodeLog.
+  // `args` lists every event param in ABI order, or is an object keyed by name.
+  encodeLog(nameOrSignature, args = []) {
+    const event = this._getEvent(nameOrSignature);
+    const values = getEventValues(event, args);
+    
+    return this._withFragment(event, () => {
+      const topics = event.anonymous ? [] : [getEventSelector(event)];
+      const dataTypes = [];
+      const dataValues = [];
+      
+      event.inputs.forEach((input, i) => {
+        if (input.indexed) {
+          topics.push(this.encoder.encodeTopic(input, values[i], input.name || String(i)));
+        } else {
+          dataTypes.push(input);
+          dataValues.push(values[i]);
+        }
+      });
+      
+      return { topics, data: this.encoder.encodeParameters(dataTypes, dataValues) };
+    });
+  }
+  
+  // Assemble a mock transaction receipt for fixtures. Each entry is an encoded
+  // log ({ address, topics, data }) or { address, event, args } to encode with
+  // this ABI. Logs inherit the receipt's block and transaction fields and get
+  // consecutive logIndex values starting at `fields.logIndex` (default 0).
+  buildReceipt(logs, fields = {}) {
+    if (!Array.isArray(logs)) {
+      throw new InvalidValueError('Expected array of logs');
+    }
+    
+    const { logIndex: firstLogIndex = 0, ...receiptFields } = fields;
+    const receipt = {
+      transactionHash: ZERO_HASH,
+      transactionIndex: 0,
+      blockHash: ZERO_HASH,
+      blockNumber: 0,
+      status: 1,
+      ...receiptFields
+    };
+    
+    receipt.logs = logs.map((entry, i) => {
+      const { topics, data } = entry.event ? this.encodeLog(entry.event, entry.args) : entry;
+      return {
+        address: entry.address,
+        topics,
+        data,
+        logIndex: firstLogIndex + i,
+        transactionIndex: receipt.transactionIndex,
+        transactionHash: receipt.transactionHash,
+        blockHash: receipt.blockHash,
+        blockNumber: receipt.blockNumber,
+        removed: false
+      };
+    });
+    
+    return receipt;
+  }
+  
+  // Build the `topics` of an eth_getLogs filter. `filterArgs` gives indexed
+  // values by name (object) or by position among the indexed params (array);
+  // null is a wildcard and an array of values matches any of them.
+  encodeEventTopics(nameOrSignature, filterArgs = []) {
+    const event = this._getEvent(nameOrSignature);
+    const indexed = event.inputs.filter(input => input.indexed);
+    const values = getFilterValues(event, indexed, filterArgs);
+    const topics = event.anonymous ? [] : [getEventSelector(event)];
+    
+    this._withFragment(event, () => {
+      indexed.forEach((param, i) => {
+        const value = values[i];
+        const path = param.name || String(i);
+        
+        if (value === null || value === undefined) {
+          topics.push(null);
+        } else if (Array.isArray(value) && !isCompositeType(param.type)) {
+          // An array of values matches any of them; array and tuple params
+          // take an array as their single value
+          topics.push(value.map(item => this.encoder.encodeTopic(param, item, path)));
+        } else {
+          topics.push(this.encoder.encodeTopic(param, value, path));
+        }
+      });
+    });
+    
+    // Trailing wildcards are implied
+    while (topics.length > 0 && topics[topics.length - 1] === null) {
+      topics.pop();
+    }
+    return topics;
+  }
+  
+  // Build a complete eth_getLogs filter object for an event. `options` may set
+  // `address` (one or several), `fromBlock`/`toBlock` or `blockHash`.
+  buildLogFilter(nameOrSignature, filterArgs = [], options = {}) {
+    const { address, fromBlock, toBlock, blockHash } = options;
+    const filter = {};
+    
+    if (address !== undefined && address !== null) {
+      const addresses = Array.isArray(address) ? address : [address];
+      for (const item of addresses) {
+        if (typeof item !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(item)) {
+          throw new InvalidValueError(`Invalid filter address: ${item}`, { path: 'address' });
+        }
+        if (!hasValidChecksum(item)) {
+          throw new InvalidValueError(`Invalid filter address checksum: ${item}`, { path: 'address' });
+        }
+      }
+      filter.address = address;
+    }
+    
+    filter.topics = this.encodeEventTopics(nameOrSignature, filterArgs);
+    
+    if (blockHash !== undefined) {
+      // EIP-234: a block hash filter excludes a block range
+      if (fromBlock !== undefined || toBlock !== undefined) {
+        throw new InvalidValueError('blockHash cannot be combined with fromBlock/toBlock');
+      }
+      if (typeof blockHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(blockHash)) {
+        throw new InvalidValueError(`Invalid block hash: ${blockHash}`, { path: 'blockHash' });
+      }
+      filter.blockHash = blockHash;
+    } else {
+      if (fromBlock !== undefined) filter.fromBlock = toBlockTag(fromBlock, 'fromBlock');
+      if (toBlock !== undefined) filter.toBlock = toBlockTag(toBlock, 'toBlock');
+    }
+    
+    return filter;
+  }
+  
+  // Decode all logs in a receipt that match any ABI events. Logs that match
+  // no event or fail to decode are skipped, unless options.detailed asks for
+  // { decoded, unknown, failed, counts } instead of an array.
+  decodeReceiptLogs(receipt, options = {}) {
+    return decodeReceipt(receipt, (log) => {
+      // Matched by topic count too, so an ERC721 Transfer is no ERC20 Transfer
+      const event = this.findLogEvent(log.data, log.topics);
+      if (!event) {
+        throw new UnknownFragmentError(`No event matches log ${log.topics[0] || ''} with ${log.topics.length} topics`);
+      }
+      return this._decodeLogData(event, log.data, log.topics);
+    }, options);
+  }
+  
+  // Decode all logs from multiple receipts
+  decodeMultipleReceipts(receipts, options = {}) {
+    if (!Array.isArray(receipts)) {
+      throw new InvalidValueError('Expected array of receipts');
+    }
+    
+    if (options.detailed) {
+      return mergeReceiptResults(receipts.map(receipt => this.decodeReceiptLogs(receipt, options)));
+    }
+    
+    const allDecodedLogs = [];
+    
+    for (const receipt of receipts) {
+      const decodedLogs = this.decodeReceiptLogs(receipt);
+      allDecodedLogs.push(...decodedLogs);
+    }
+    
+    return allDecodedLogs;
+  }
+  
+  // Filter decoded logs by event name
+  filterLogsByEvent(decodedLogs, eventName) {
+    return decodedLogs.filter(log => log.name === eventName);
+  }
+  
+  // Solidity abi.encodePacked of `values` as `types` (type strings or ABI params)
+  encodePacked(types, values) {
+    return this.encoder.encodePacked(types, values);
+  }
+  
+  // keccak256(abi.encodePacked(...))
+  solidityPackedKeccak256(types, values) {
+    return this.encoder.solidityPackedKeccak256(types, values);
+  }
+  
+  // EIP-712 { primaryType, types } of a struct argument of a function, given
+  // by name or position, e.g. to sign the `order` passed to fill(order)
+  getTypedDataTypes(nameOrSignature, param = 0) {
+    const func = this._getFunction(nameOrSignature);
+    const input = typeof param === 'number'
+      ? func.inputs[param]
+      : func.inputs.find(item => item.name === param);
+    if (!input) {
+      throw new UnknownFragmentError(`Parameter ${param} not found in ${getFunctionSignature(func)}`);
+    }
+    return this._withFragment(func, () => getTypedDataTypes(input));
+  }
+  
+  // Render the ABI as human-readable signatures
+  formatABI() {
+    return this.abi.map(formatFragment);
+  }
+  
+  // Get all event topics that this codec can decode
+  getKnownEventTopics() {
+    const topics = [];
+    for (const [key, value] of this.events.entries()) {
+      if (key.startsWith('0x') && key.length === 66) { // Topic format
+        topics.push(key);
+      }
+    }
+    return topics;
+  }
+}
+
+// Selectors and topics are matched case-insensitively, signatures without whitespace
+function normalizeFragmentKey(key) {
+  if (typeof key !== 'string') return key;
+  if (/^0x[0-9a-fA-F]+$/.test(key)) return key.toLowerCase();
+  return key.replace(/\s+/g, '');
+}
+
+// Number of topics an event emits: indexed params plus topic0 unless anonymous
+function getTopicCount(event) {
+  const indexed = event.inputs.filter(input => input.indexed).length;
+  return event.anonymous ? indexed : indexed + 1;
+}
+
+const ZERO_HASH = '0x' + '00'.repeat(32);
+
+// Event values in ABI order, from positional or named-object input
+function getEventValues(event, args) {
+  if (Array.isArray(args)) {
+    if (args.length !== event.inputs.length) {
+      throw new InvalidValueError(`Expected ${event.inputs.length} arguments for ${event.name}, got ${args.length}`, { fragment: event });
+    }
+    return args;
+  }
+  
+  if (args === null || typeof args !== 'object') {
+    throw new InvalidValueError(`Expected array or object of event arguments, got: ${typeof args}`, { fragment: event });
+  }
+  return event.inputs.map((input, i) => {
+    const key = input.name || `field${i}`;
+    if (!(key in args)) {
+      throw new InvalidValueError(`Missing event argument: ${key}`, { path: key, fragment: event });
+    }
+    return args[key];
+  });
+}
+
+// Indexed filter values in the order of the event's indexed params
+function getFilterValues(event, indexed, filterArgs) {
+  if (Array.isArray(filterArgs)) {
+    if (filterArgs.length > indexed.length) {
+      throw new InvalidValueError(`Too many filter values for ${event.name}: ${indexed.length} indexed params, ${filterArgs.length} values`, { fragment: event });
+    }
+    return filterArgs;
+  }
+  
+  if (filterArgs === null || typeof filterArgs !== 'object') {
+    throw new InvalidValueError(`Expected array or object of filter values, got: ${typeof filterArgs}`, { fragment: event });
+  }
+  for (const key of Object.keys(filterArgs)) {
+    if (!indexed.some(param => param.name === key)) {
+      throw new InvalidValueError(`${key} is not an indexed parameter of ${event.name}`, { fragment: event });
+    }
+  }
+  return indexed.map(param => filterArgs[param.name]);
+}
+
+const BLOCK_TAGS = ['latest', 'earliest', 'pending', 'safe', 'finalized'];
+
+// Array and tuple types, whose values are themselves JS arrays
+function isCompositeType(type) {
+  return type.endsWith(']') || type.startsWith('tuple');
+}
+
+// Block numbers as JSON-RPC hex quantities; named tags pass through
+function toBlockTag(block, name) {
+  if (BLOCK_TAGS.includes(block)) return block;
+  
+  const isQuantity = typeof block === 'bigint' ? block >= 0n
+    : typeof block === 'number' ? Number.isInteger(block) && block >= 0
+    : typeof block === 'string' && /^(0x[0-9a-fA-F]+|\d+)$/.test(block);
+  if (!isQuantity) {
+    throw new InvalidValueError(`Invalid block tag: ${block}`, { path: name });
+  }
+  return '0x' + BigInt(block).toString(16);
+}
+
+// Creation bytecode as lowercase 0x-prefixed hex
+function normalizeBytecode(code, name) {
+  if (Buffer.isBuffer(code)) return bufferToHex(code);
+  if (typeof code !== 'string' || !isHex(code) || code.length % 2 !== 0) {
+    throw new InvalidValueError(`Invalid ${name}: expected even-length 0x-prefixed hex`);
+  }
+  return code.toLowerCase();
+}
+
+// Whether a JS value is the usual representation of an ABI type, used to
+// break ties between overloads that can all encode the arguments
+function isNaturalValue(param, value) {
+  const type = param.type;
+
+  const array = parseArrayType(type);
+  if (array) {
+    const element = { ...param, type: array.baseType };
+    return Array.isArray(value) && value.every(item => isNaturalValue(element, item));
+  }
+
+  if (type.startsWith('tuple')) return value !== null && typeof value === 'object';
+  if (type === 'address') return typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+  if (type === 'bool') return typeof value === 'boolean';
+  if (type === 'string') return typeof value === 'string';
+  if (type.startsWith('bytes')) return Buffer.isBuffer(value) || (typeof value === 'string' && value.startsWith('0x'));
+  if (/^u?int/.test(type)) {
+    return typeof value === 'bigint' || typeof value === 'number' || (typeof value === 'string' && /^-?\d+$/.test(value));
+  }
+  return false;
+}
+
+function addToList(map, key, item) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(item);
+}
+
+// Names that are not overloaded also key the fragment itself, as they did
+// before overloads were supported: codec.events.get('Transfer')
+function addNameKeys(table, byName) {
+  for (const [name, items] of byName) {
+    if (items.length === 1) table.set(name, items[0]);
+  }
+}
+
+module.exports = {
+  ABICodec
+};
@@ -1,104 +1,205 @@
-const { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex } = require('./utils');
+const { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex, parseTupleComponents, parseArrayType, getTupleComponents, isDynamicType, getTypeSize, joinPath } = require('./utils');
+const { DecodingError, UnsupportedTypeError } = require('./errors');
+const { ValueFormatter } = require('./format');
+
+// Strict mode rejects invalid UTF-8 instead of substituting U+FFFD
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
 
 class Decoder {
-  constructor() {
+  // options.strict: reject truncated, out-of-bounds and non-canonical data
+  // options.format: representation of decoded values (see ValueFormatter)
+  // options.checksumAddresses: decode addresses with their EIP-55 checksum
+  constructor(options = {}) {
+    this.strict = !!options.strict;
+    this.formatter = ValueFormatter.fromOptions(options);
+
     // Cache for commonly decoded values
     this.cache = new Map();
   }
 
   // Main decoding function for parameters
   decodeParameters(types, data) {
+    return this.formatter.formatList(types, this.decodeRawParameters(types, data));
+  }
+
+  // Decode parameters into the default value shape, before formatting
+  decodeRawParameters(types, data) {
     if (!data || data === '0x') {
+      if (this.strict && types.length > 0) {
+        throw new DecodingError(`Empty data for ${types.length} parameters`, { offset: 0 });
+      }
       return types.length === 0 ? [] : new Array(types.length).fill(null);
     }
 
+    // hexToBuffer stops at the first non-hex character and drops an odd nibble
+    if (this.strict && (typeof data !== 'string' || !isHex(data) || data.length % 2 !== 0)) {
+      throw new DecodingError('Data is not 0x-prefixed, even-length hex', { offset: 0 });
+    }
+
     const buffer = hexToBuffer(data);
-    const results = [];
-    let staticOffset = 0;
+    const paths = types.map((type, i) => (typeof type === 'object' && type.name) || String(i));
+
+    try {
+      return this.decodeHeadTail(types, buffer, 0, paths).values;
+    } catch (error) {
+      // Lenient mode reads past the end through Buffer accessors
+      if (error instanceof RangeError) {
+        throw new DecodingError('Data too short', { cause: error });
+      }
+      throw error;
+    }
+  }
+
+  // Decode a head/tail encoded sequence (parameter list, tuple or array body).
+  // `base` is the start of the enclosing head: dynamic values are referenced by
+  // offsets relative to it, static values are inlined one after another.
+  // `paths` names each element for error reporting.
+  decodeHeadTail(types, buffer, base, paths = []) {
+    const values = [];
+    let headOffset = base;
+
+    // In strict mode dynamic data must follow the head in order, so offsets
+    // can neither point backwards (loops) nor into a previous element (overlap)
+    let tailCursor = this.strict ? base + this.getHeadSize(types) : 0;
+    let tailEnd = 0;
 
-    // First pass: handle static types and collect dynamic offsets
     for (let i = 0; i < types.length; i++) {
       const currentType = types[i];
-      const typeStr = typeof currentType === 'string' ? currentType : currentType.type;
-      
+      const path = paths[i];
+
       if (this.isDynamicType(currentType)) {
-        // Dynamic type: read offset from static section
-        const offsetResult = this.decodeUint(buffer, staticOffset);
-        const dataOffset = Number(offsetResult.value);
-        const { value } = this.decodeParameter(currentType, buffer, dataOffset);
-        results.push(value);
+        // Dynamic type: head holds the offset of the data from `base`
+        const dataOffset = base + this.readOffset(buffer, headOffset, path);
+
+        if (this.strict && dataOffset < tailCursor) {
+          throw new DecodingError(`Offset ${dataOffset} overlaps earlier data ending at ${tailCursor}`, { offset: headOffset, path });
+        }
+
+        const { value, nextOffset } = this.decodeParameter(currentType, buffer, dataOffset, path);
+        values.push(value);
+        tailCursor = nextOffset;
+        tailEnd = Math.max(tailEnd, nextOffset);
+        headOffset += 32;
       } else {
-        // Static type: decode directly
-        const { value } = this.decodeParameter(currentType, buffer, staticOffset);
-        results.push(value);
+        // Static type: decode in place (static tuples/arrays span several words)
+        const { value, nextOffset } = this.decodeParameter(currentType, buffer, headOffset, path);
+        values.push(value);
+        headOffset = nextOffset;
       }
-      staticOffset += 32; // Each parameter takes 32 bytes in static section
     }
 
-    return results;
+    return { values, nextOffset: Math.max(headOffset, tailEnd) };
   }
 
-  // Decode single parameter
-  decodeParameter(type, buffer, offset) {
-    // Handle ABI object format
-    let typeStr, components;
-    if (typeof type === 'object' && type.type) {
-      typeStr = type.type;
-      components = type.components;
-    } else {
-      typeStr = type;
-      components = null;
+  // Size in bytes of the head of a sequence of types
+  getHeadSize(types) {
+    let size = 0;
+    for (const type of types) {
+      size += this.isDynamicType(type) ? 32 : this.getStaticSize(type);
+    }
+    return size;
+  }
+
+  // Encoded size of a static type: fixed arrays and tuples are inlined
+  getStaticSize(type) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
+    const array = parseArrayType(typeStr);
+    if (array) {
+      const elementType = typeof type === 'object' ? { ...type, type: array.baseType } : array.baseType;
+      return array.length * this.getStaticSize(elementType);
+    }
+
+    if (typeStr.startsWith('tuple')) {
+      return this.getHeadSize(getTupleComponents(type));
     }
 
+    return 32;
+  }
+
+  // Read an offset or length word as a safe JS number
+  readOffset(buffer, offset, path) {
+    const value = BigInt(this.decodeUint(buffer, offset, 256, path).value);
+    if (value > BigInt(buffer.length)) {
+      throw new DecodingError(`Offset or length ${value} out of bounds`, { offset, path });
+    }
+    return Number(value);
+  }
+
+  // Strict mode: the `size` bytes at `offset` must lie inside the buffer
+  checkBounds(buffer, offset, size, path) {
+    if (this.strict && offset + size > buffer.length) {
+      throw new DecodingError(`Data too short: need ${size} bytes, ${Math.max(buffer.length - offset, 0)} available`, { offset, path });
+    }
+  }
+
+  // Strict mode: bytes in [start, end) must be zero
+  checkZeroPadding(buffer, start, end, path) {
+    if (!this.strict) return;
+    for (let i = start; i < end; i++) {
+      if (buffer[i] !== 0) {
+        throw new DecodingError('Non-zero padding', { offset: i, path });
+      }
+    }
+  }
+
+  // Decode single parameter whose data starts at `offset`
+  // (for dynamic types this is the already-dereferenced data location)
+  decodeParameter(type, buffer, offset, path) {
+    // Handle ABI object format
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
     // Handle arrays first
-    if (typeStr.includes('[')) {
-      return this.decodeArray(typeStr, buffer, offset);
+    if (typeStr.endsWith(']')) {
+      return this.decodeArray(type, buffer, offset, path);
     }
 
     // Handle tuple (struct)
     if (typeStr.startsWith('tuple')) {
-      return this.decodeTuple(type, buffer, offset);
+      return this.decodeTuple(type, buffer, offset, path);
     }
 
     // Handle basic types
     switch (typeStr) {
       case 'bool':
-        return this.decodeBool(buffer, offset);
+        return this.decodeBool(buffer, offset, path);
       case 'address':
-        return this.decodeAddress(buffer, offset);
+        return this.decodeAddress(buffer, offset, path);
       case 'bytes':
-        return this.decodeBytes(buffer, offset);
+        return this.decodeBytes(buffer, offset, path);
       case 'string':
-        return this.decodeString(buffer, offset);
+        return this.decodeString(buffer, offset, path);
       default:
-        if (typeStr.startsWith('uint')) {
-          const bits = parseInt(typeStr.slice(4)) || 256;
-          return this.decodeUint(buffer, offset, bits);
-        }
-        if (typeStr.startsWith('int')) {
-          const bits = parseInt(typeStr.slice(3)) || 256;
-          return this.decodeInt(buffer, offset, bits);
+        const size = getTypeSize(typeStr);
+        if (size !== null) {
+          if (typeStr.startsWith('uint')) return this.decodeUint(buffer, offset, size, path);
+          if (typeStr.startsWith('int')) return this.decodeInt(buffer, offset, size, path);
+          return this.decodeFixedBytes(buffer, offset, size, path);
         }
-        if (typeStr.startsWith('bytes') && typeStr.length > 5) {
-          const size = parseInt(typeStr.slice(5));
-          return this.decodeFixedBytes(buffer, offset, size);
-        }
-        throw new Error(`Unsupported type: ${typeStr}`);
+        throw new UnsupportedTypeError(`Unsupported type: ${typeStr}`, { path });
     }
   }
 
   // Type decoders
-  decodeBool(buffer, offset) {
-    const value = buffer.readUInt8(offset + 31) !== 0;
-    return { value, nextOffset: offset + 32 };
+  decodeBool(buffer, offset, path) {
+    this.checkBounds(buffer, offset, 32, path);
+    this.checkZeroPadding(buffer, offset, offset + 31, path);
+
+    const byte = buffer.readUInt8(offset + 31);
+    if (this.strict && byte > 1) {
+      throw new DecodingError(`Invalid bool value ${byte}`, { offset: offset + 31, path });
+    }
+    return { value: byte !== 0, nextOffset: offset + 32 };
   }
 
-  decodeUint(buffer, offset, bits = 256) {
+  decodeUint(buffer, offset, bits = 256, path) {
+    this.checkBounds(buffer, offset, 32, path);
+
     const slice = buffer.slice(offset, offset + 32);
     let value = 0n;
     
-    // Fast path for common sizes
-    if (bits <= 64) {
+    // Fast path for common sizes (strict mode needs the full word to see dirty high bits)
+    if (bits <= 64 && !this.strict) {
       // Use readBigUInt64BE for performance when possible
       const high = buffer.readUInt32BE(offset + 24);
       const low = buffer.readUInt32BE(offset + 28);
@@ -112,265 +213,149 @@ class Decoder {
     // Validate range
     const maxValue = (1n << BigInt(bits)) - 1n;
     if (value > maxValue) {
-      throw new Error(`Value too large for uint${bits}: ${value}`);
+      throw new DecodingError(`Value too large for uint${bits}: ${value}`, { offset, path });
     }
 
     // Return as string instead of BigInt
     return { value: value.toString(), nextOffset: offset + 32 };
   }
 
-  decodeInt(buffer, offset, bits = 256) {
+  decodeInt(buffer, offset, bits = 256, path) {
+    this.checkBounds(buffer, offset, 32, path);
+
     const slice = buffer.slice(offset, offset + 32);
     const hex = slice.toString('hex');
     let value = BigInt('0x' + hex);
 
-    // Handle two's complement for negative values
-    const signBit = 1n << (BigInt(bits) - 1n);
-    if (value >= signBit) {
-      const maxUint = 1n << BigInt(bits);
-      value = value - maxUint;
+    // Handle two's complement for negative values (sign-extended to 256 bits)
+    if (value >= 1n << 255n) {
+      value = value - (1n << 256n);
     }
 
     // Validate range
     const minValue = -(1n << (BigInt(bits) - 1n));
     const maxValue = (1n << (BigInt(bits) - 1n)) - 1n;
     if (value < minValue || value > maxValue) {
-      throw new Error(`Value out of range for int${bits}: ${value}`);
+      throw new DecodingError(`Value out of range for int${bits}: ${value}`, { offset, path });
     }
 
     // Return as string instead of BigInt
     return { value: value.toString(), nextOffset: offset + 32 };
   }
 
-  decodeAddress(buffer, offset) {
+  decodeAddress(buffer, offset, path) {
+    this.checkBounds(buffer, offset, 32, path);
+    this.checkZeroPadding(buffer, offset, offset + 12, path);
+
     // Address is in the last 20 bytes of the 32-byte word
     const addressBytes = buffer.slice(offset + 12, offset + 32);
     const value = '0x' + addressBytes.toString('hex');
     return { value, nextOffset: offset + 32 };
   }
 
-  decodeFixedBytes(buffer, offset, size) {
+  decodeFixedBytes(buffer, offset, size, path) {
+    this.checkBounds(buffer, offset, 32, path);
+    this.checkZeroPadding(buffer, offset + size, offset + 32, path);
+
     const slice = buffer.slice(offset, offset + size);
     const value = '0x' + slice.toString('hex');
     return { value, nextOffset: offset + 32 };
   }
 
-  decodeBytes(buffer, offset) {
+  decodeBytes(buffer, offset, path) {
     // For dynamic bytes, we expect the data to be stored with length prefix
-    return this.decodeBytesAt(buffer, offset);
+    return this.decodeBytesAt(buffer, offset, path);
   }
 
-  decodeBytesAt(buffer, offset) {
+  decodeBytesAt(buffer, offset, path) {
     // Read length first
-    const length = Number(this.decodeUint(buffer, offset).value);
+    const length = this.readOffset(buffer, offset, path);
     const dataOffset = offset + 32;
     
-    // Read the actual bytes
-    const value = '0x' + buffer.slice(dataOffset, dataOffset + length).toString('hex');
-    
     // Calculate next offset (data is padded to 32-byte boundary)
     const paddedLength = Math.ceil(length / 32) * 32;
     const nextOffset = dataOffset + paddedLength;
+
+    this.checkBounds(buffer, dataOffset, paddedLength, path);
+    this.checkZeroPadding(buffer, dataOffset + length, nextOffset, path);
+    
+    // Read the actual bytes
+    const value = '0x' + buffer.slice(dataOffset, dataOffset + length).toString('hex');
     
     return { value, nextOffset };
   }
 
-  decodeString(buffer, offset) {
+  decodeString(buffer, offset, path) {
     // String is encoded like bytes but interpreted as UTF-8
-    const bytesResult = this.decodeBytes(buffer, offset);
-    const hex = bytesResult.value.slice(2); // Remove 0x
-    let value = Buffer.from(hex, 'hex').toString('utf8');
-    
-    // Clean up null bytes and control characters
-    value = value.replace(/\0/g, '').trim();
+    const bytesResult = this.decodeBytes(buffer, offset, path);
+    const bytes = Buffer.from(bytesResult.value.slice(2), 'hex'); // Remove 0x
+
+    let value;
+    if (this.strict) {
+      try {
+        value = utf8Decoder.decode(bytes);
+      } catch (error) {
+        throw new DecodingError('Invalid UTF-8 string', { offset: offset + 32, path });
+      }
+    } else {
+      value = bytes.toString('utf8');
+    }
     
     return { value, nextOffset: bytesResult.nextOffset };
   }
 
-  decodeArray(type, buffer, offset) {
-    // Parse array type
-    const bracketIndex = type.indexOf('[');
-    const baseType = type.slice(0, bracketIndex);
-    const arraySpec = type.slice(bracketIndex);
-    
-    const isFixedSize = arraySpec !== '[]';
-    const fixedSize = isFixedSize ? parseInt(arraySpec.slice(1, -1)) : null;
+  decodeArray(type, buffer, offset, path) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
 
-    let currentOffset = offset;
-    let arrayLength;
+    // Parse outermost dimension: "uint256[2][]" is a dynamic array of uint256[2]
+    const { baseType, length: fixedSize } = parseArrayType(typeStr);
+    const elementType = typeof type === 'object' ? { ...type, type: baseType } : baseType;
 
-    if (this.isDynamicType(type)) {
-      // Dynamic array: read offset first
-      const dataOffset = Number(this.decodeUint(buffer, offset).value);
-      currentOffset = dataOffset;
-    }
+    let arrayLength;
+    let elementsBase = offset;
 
-    if (isFixedSize) {
+    if (fixedSize !== null) {
       arrayLength = fixedSize;
     } else {
-      // Dynamic array: read length
-      const lengthResult = this.decodeUint(buffer, currentOffset);
-      arrayLength = Number(lengthResult.value);
-      currentOffset = lengthResult.nextOffset;
+      // Dynamic array: length word precedes the elements
+      arrayLength = this.readOffset(buffer, offset, path);
+      elementsBase = offset + 32;
     }
 
-    const results = [];
-    
-    if (this.isDynamicType(baseType)) {
-      // Dynamic element type: elements are stored with offsets
-      const staticOffset = currentOffset;
-      
-      for (let i = 0; i < arrayLength; i++) {
-        const elementOffset = Number(this.decodeUint(buffer, staticOffset + i * 32).value);
-        const absoluteOffset = (this.isDynamicType(type) ? 
-          Math.floor(offset / 32) * 32 : 0) + elementOffset;
-        const { value } = this.decodeParameter(baseType, buffer, absoluteOffset);
-        results.push(value);
-      }
-      
-      // Calculate next offset (this is complex for dynamic arrays)
-      const nextOffset = currentOffset + arrayLength * 32;
-      return { value: results, nextOffset };
-    } else {
-      // Static element type: elements are stored sequentially
-      for (let i = 0; i < arrayLength; i++) {
-        const { value, nextOffset } = this.decodeParameter(baseType, buffer, currentOffset);
-        results.push(value);
-        currentOffset = nextOffset;
-      }
-      
-      return { value: results, nextOffset: currentOffset };
+    // Every element occupies at least one head word
+    if (elementsBase + arrayLength * 32 > buffer.length) {
+      throw new DecodingError(`Array length ${arrayLength} out of bounds`, { offset, path });
     }
+
+    // Elements are laid out like a tuple of identical types
+    const elementTypes = new Array(arrayLength).fill(elementType);
+    const paths = elementTypes.map((_, i) => joinPath(path, i));
+    const { values, nextOffset } = this.decodeHeadTail(elementTypes, buffer, elementsBase, paths);
+    return { value: values, nextOffset };
   }
 
-  decodeTuple(type, buffer, offset) {
-    let components;
-    
-    // Handle ABI object format
-    if (typeof type === 'object' && type.components) {
-      components = type.components;
-    } else if (typeof type === 'string') {
-      // Parse tuple type to extract components
-      // Expected format: tuple(type1,type2,...) or tuple(type1 name1,type2 name2,...)
-      const match = type.match(/^tuple\((.+)\)$/);
-      if (!match) {
-        throw new Error(`Invalid tuple type format: ${type}`);
-      }
-      
-      const componentStr = match[1];
-      components = this.parseTupleComponents(componentStr);
-    } else {
-      throw new Error(`Invalid tuple type: ${JSON.stringify(type)}`);
-    }
+  decodeTuple(type, buffer, offset, path) {
+    const components = getTupleComponents(type);
+    const names = components.map((component, i) => component.name || `field${i}`);
     
+    // Component offsets are relative to the start of the tuple
+    const paths = names.map(name => joinPath(path, name));
+    const { values, nextOffset } = this.decodeHeadTail(components, buffer, offset, paths);
+
     const result = {};
-    let currentOffset = offset;
-    const dynamicOffsets = [];
-    
-    // First pass: decode static types and collect dynamic offsets
     for (let i = 0; i < components.length; i++) {
-      const component = components[i];
-      const fieldName = component.name || `field${i}`;
-      
-      if (this.isDynamicType(component)) {
-        // Read offset pointer for dynamic types (relative to tuple start)
-        const offsetResult = this.decodeUint(buffer, currentOffset);
-        const relativeOffset = Number(offsetResult.value);
-        const absoluteOffset = offset + relativeOffset;
-        
-        dynamicOffsets.push({ 
-          index: i, 
-          offset: absoluteOffset, 
-          fieldName, 
-          component: component 
-        });
-        currentOffset += 32;
-      } else {
-        // Decode static types directly
-        const decoded = this.decodeParameter(component, buffer, currentOffset);
-        result[fieldName] = decoded.value;
-        currentOffset = decoded.nextOffset;
-      }
-    }
-    
-    // Second pass: decode dynamic types
-    for (const dynamicInfo of dynamicOffsets) {
-      const decoded = this.decodeParameter(dynamicInfo.component, buffer, dynamicInfo.offset);
-      result[dynamicInfo.fieldName] = decoded.value;
+      result[names[i]] = values[i];
     }
     
-    return { value: result, nextOffset: currentOffset };
+    return { value: result, nextOffset };
   }
 
   parseTupleComponents(componentStr) {
-    const components = [];
-    let depth = 0;
-    let current = '';
-    let inType = true;
-    let currentName = '';
-    
-    for (let i = 0; i < componentStr.length; i++) {
-      const char = componentStr[i];
-      
-      if (char === '(' || char === '[') {
-        depth++;
-        current += char;
-      } else if (char === ')' || char === ']') {
-        depth--;
-        current += char;
-      } else if (char === ',' && depth === 0) {
-        // End of component
-        const trimmed = current.trim();
-        if (trimmed) {
-          const parts = trimmed.split(/\s+/);
-          const type = parts[0];
-          const name = parts[1] || `field${components.length}`;
-          components.push({ type, name });
-        }
-        current = '';
-      } else if (char === ' ' && depth === 0 && current.trim() && inType) {
-        // Space after type name
-        inType = false;
-        currentName = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    // Handle last component
-    if (current.trim()) {
-      const parts = current.trim().split(/\s+/);
-      const type = parts[0];
-      const name = parts[1] || `field${components.length}`;
-      components.push({ type, name });
-    }
-    
-    return components;
+    return parseTupleComponents(componentStr);
   }
 
   isDynamicType(type) {
-    let typeStr;
-    if (typeof type === 'object' && type.type) {
-      typeStr = type.type;
-    } else {
-      typeStr = type;
-    }
-    
-    if (typeStr === 'string' || typeStr === 'bytes') return true;
-    if (typeStr.includes('[]')) return true;
-    if (typeStr.startsWith('tuple')) {
-      // For ABI objects, check components
-      if (typeof type === 'object' && type.components) {
-        return type.components.some(comp => this.isDynamicType(comp));
-      }
-      // Parse tuple and check if any component is dynamic
-      const match = typeStr.match(/^tuple\((.+)\)$/);
-      if (match) {
-        const components = this.parseTupleComponents(match[1]);
-        return components.some(comp => this.isDynamicType(comp.type));
-      }
-    }
-    return false;
+    return isDynamicType(type);
   }
 
   // Decode event log
@@ -380,35 +365,50 @@ class Decoder {
     // Separate indexed and non-indexed parameters
     const indexedParams = eventAbi.inputs.filter(input => input.indexed);
     const nonIndexedParams = eventAbi.inputs.filter(input => !input.indexed);
+    // Args are keyed by name, unnamed inputs by their position like tuple fields
+    const keyOf = param => param.name || `field${eventAbi.inputs.indexOf(param)}`;
+    // Anonymous events have no signature topic, so indexed values start at topics[0]
+    const firstTopic = eventAbi.anonymous ? 0 : 1;
+
+    if (this.strict) {
+      if (topics.length !== indexedParams.length + firstTopic) {
+        throw new DecodingError(`Expected ${indexedParams.length + firstTopic} topics for ${eventAbi.name}, got ${topics.length}`);
+      }
+      topics.forEach((topic, i) => {
+        if (typeof topic !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(topic)) {
+          throw new DecodingError(`Topic ${i} of ${eventAbi.name} is not 32 bytes of hex`, { path: `topics[${i}]` });
+        }
+      });
+    }
     
-    // Decode indexed parameters from topics (skip topic[0] which is event signature)
+    // Decode indexed parameters from topics
     for (let i = 0; i < indexedParams.length; i++) {
       const param = indexedParams[i];
-      const topic = topics[i + 1];
+      const topic = topics[i + firstTopic];
       
       if (!topic) continue;
       
-      // For dynamic types, topics contain the hash, not the actual value
-      if (this.isDynamicType(param.type)) {
-        result.args[param.name] = topic; // Store the hash
+      // For dynamic types, structs and arrays, topics contain the hash, not the actual value
+      if (this.isDynamicType(param) || param.type.endsWith(']') || param.type.startsWith('tuple')) {
+        result.args[keyOf(param)] = topic; // Store the hash
       } else {
         // Decode the topic as the actual value
         const topicBuffer = hexToBuffer(topic);
-        const { value } = this.decodeParameter(param.type, topicBuffer, 0);
-        result.args[param.name] = value;
+        const { value } = this.decodeParameter(param, topicBuffer, 0, param.name);
+        result.args[keyOf(param)] = value;
       }
     }
     
     // Decode non-indexed parameters from data
-    if (nonIndexedParams.length > 0 && data && data !== '0x') {
-      const types = nonIndexedParams.map(param => param.type);
-      const decodedData = this.decodeParameters(types, data);
+    if (nonIndexedParams.length > 0 && ((data && data !== '0x') || this.strict)) {
+      const decodedData = this.decodeRawParameters(nonIndexedParams, data);
       
       for (let i = 0; i < nonIndexedParams.length; i++) {
-        result.args[nonIndexedParams[i].name] = decodedData[i];
+        result.args[keyOf(nonIndexedParams[i])] = decodedData[i];
       }
     }
     
+    result.args = this.formatter.formatLogArgs(eventAbi.inputs, result.args);
     return result;
   }
 }
@@ -0,0 +1,304 @@
+const { keccak256, toUtf8Bytes } = require('ethers');
+const Encoder = require('./encoder');
+const { parseArrayType, getTypeSize, joinPath, bufferToHex, hexToBuffer, isHex } = require('./utils');
+const { InvalidValueError } = require('./errors');
+
+// EIP712Domain fields in the order the standard defines them; a domain uses
+// the ones it sets
+const DOMAIN_FIELDS = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' }
+];
+
+// EIP-712 hashing for a set of struct types ({ Mail: [{ name, type }, ...] }).
+// Struct values are objects keyed by field name and must set every field.
+class TypedDataEncoder {
+  // options.resolveName: passed to the Encoder for address fields
+  constructor(types, options = {}) {
+    if (types === null || typeof types !== 'object' || Array.isArray(types)) {
+      throw new InvalidValueError('Expected an object of EIP-712 struct types');
+    }
+    this.types = types;
+    this.encoder = new Encoder(options);
+
+    for (const [name, fields] of Object.entries(types)) {
+      if (!Array.isArray(fields)) {
+        throw new InvalidValueError(`Fields of ${name} must be an array`, { path: name });
+      }
+      for (const field of fields) {
+        if (!field || typeof field.name !== 'string' || typeof field.type !== 'string') {
+          throw new InvalidValueError(`Invalid field in ${name}: ${JSON.stringify(field)}`, { path: name });
+        }
+        const baseType = getBaseType(field.type);
+        if (!isAtomicType(baseType) && !types[baseType]) {
+          throw new InvalidValueError(`Unknown type ${field.type} in ${name}.${field.name}`, { path: joinPath(name, field.name) });
+        }
+      }
+    }
+  }
+
+  // "Mail(Person from,Person to,string contents)Person(string name,address wallet)":
+  // the struct followed by every struct it references, sorted by name
+  encodeType(name) {
+    const [primary, ...referenced] = this._collectStructs(name, []);
+    return [primary, ...referenced.sort()].map(struct => {
+      const fields = this._getFields(struct).map(field => `${field.type} ${field.name}`);
+      return `${struct}(${fields.join(',')})`;
+    }).join('');
+  }
+
+  typeHash(name) {
+    return keccak256(toUtf8Bytes(this.encodeType(name)));
+  }
+
+  // typeHash followed by one 32-byte word per field
+  encodeData(name, value, path = '') {
+    const fields = this._getFields(name);
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new InvalidValueError(`Expected object for ${name}, got: ${Array.isArray(value) ? 'array' : typeof value}`, { path });
+    }
+
+    for (const key of Object.keys(value)) {
+      if (!fields.some(field => field.name === key)) {
+        throw new InvalidValueError(`Unexpected field ${key} for ${name}`, { path: joinPath(path, key) });
+      }
+    }
+
+    const words = fields.map(field => {
+      const fieldPath = joinPath(path, field.name);
+      if (!(field.name in value)) {
+        throw new InvalidValueError(`Missing field ${field.name} for ${name}`, { path: fieldPath });
+      }
+      return this._encodeField(field.type, value[field.name], fieldPath);
+    });
+
+    return bufferToHex(Buffer.concat([hexToBuffer(this.typeHash(name)), ...words]));
+  }
+
+  hashStruct(name, value, path = '') {
+    return keccak256(this.encodeData(name, value, path));
+  }
+
+  // Throws an InvalidValueError naming the offending field when `value` does
+  // not match struct `name`
+  validate(name, value, path = '') {
+    this.encodeData(name, value, path);
+    return true;
+  }
+
+  _getFields(name) {
+    const fields = this.types[name];
+    if (!fields) {
+      throw new InvalidValueError(`Unknown struct type: ${name}`);
+    }
+    return fields;
+  }
+
+  _collectStructs(name, found) {
+    if (found.includes(name)) return found;
+    found.push(name);
+    for (const field of this._getFields(name)) {
+      const baseType = getBaseType(field.type);
+      if (this.types[baseType]) this._collectStructs(baseType, found);
+    }
+    return found;
+  }
+
+  // Atomic values are ABI-encoded words; strings and bytes are hashed, arrays
+  // hash their concatenated element words and structs are hashStruct'ed
+  _encodeField(type, value, path) {
+    const array = parseArrayType(type);
+    if (array) {
+      if (!Array.isArray(value)) {
+        throw new InvalidValueError(`Expected array for type ${type}, got: ${typeof value}`, { path });
+      }
+      if (array.length !== null && value.length !== array.length) {
+        throw new InvalidValueError(`Array length mismatch: expected ${array.length}, got ${value.length}`, { path });
+      }
+      const words = value.map((item, i) => this._encodeField(array.baseType, item, joinPath(path, i)));
+      return hexToBuffer(keccak256(Buffer.concat(words)));
+    }
+
+    if (this.types[type]) {
+      return hexToBuffer(this.hashStruct(type, value, path));
+    }
+
+    if (type === 'string') {
+      return hexToBuffer(keccak256(this.encoder.toTopicBytes(type, value, path)));
+    }
+
+    // Unlike ABI encoding, which reads other strings as UTF-8 and pads short
+    // fixed bytes, a signed value must be the exact bytes given
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (type === 'bytes' || fixedBytes) {
+      if (!Buffer.isBuffer(value) && !(typeof value === 'string' && isHex(value))) {
+        throw new InvalidValueError(`Expected hex string or Buffer for ${type}, got: ${typeof value === 'string' ? JSON.stringify(value) : typeof value}`, { path });
+      }
+      const bytes = this.encoder.toBytes(value, path);
+      if (fixedBytes && bytes.length !== Number(fixedBytes[1])) {
+        throw new InvalidValueError(`Expected ${fixedBytes[1]} bytes for ${type}, got ${bytes.length}`, { path });
+      }
+      return fixedBytes ? this.encoder.encodeParameter(type, bytes, path) : hexToBuffer(keccak256(bytes));
+    }
+
+    // The ABI encoder takes any truthy value as true
+    if (type === 'bool' && typeof value !== 'boolean') {
+      throw new InvalidValueError(`Expected boolean, got: ${typeof value}`, { path });
+    }
+    return this.encoder.encodeParameter(type, value, path);
+  }
+}
+
+// EIP712Domain fields for the keys a domain sets
+function getDomainTypes(domain) {
+  if (domain === null || typeof domain !== 'object') {
+    throw new InvalidValueError('Expected an EIP-712 domain object', { path: 'domain' });
+  }
+  for (const key of Object.keys(domain)) {
+    if (!DOMAIN_FIELDS.some(field => field.name === key)) {
+      throw new InvalidValueError(`Unexpected domain field: ${key}`, { path: joinPath('domain', key) });
+    }
+  }
+  return DOMAIN_FIELDS.filter(field => domain[field.name] !== undefined);
+}
+
+// Domain separator: hashStruct of the domain as EIP712Domain
+function hashDomain(domain, options = {}) {
+  const types = { EIP712Domain: getDomainTypes(domain) };
+  return new TypedDataEncoder(types, options).hashStruct('EIP712Domain', domain, 'domain');
+}
+
+// Struct types of a typed-data JSON, adding EIP712Domain from the domain
+// when it is not declared
+function getTypes(typedData) {
+  const types = { ...typedData.types };
+  if (!types.EIP712Domain) {
+    types.EIP712Domain = getDomainTypes(typedData.domain);
+  }
+  return types;
+}
+
+// The struct type no other type references, when primaryType is not given
+function getPrimaryType(types) {
+  const names = Object.keys(types).filter(name => name !== 'EIP712Domain');
+  const referenced = new Set();
+  for (const name of names) {
+    for (const field of types[name]) referenced.add(getBaseType(field.type));
+  }
+
+  const roots = names.filter(name => !referenced.has(name));
+  if (roots.length !== 1) {
+    throw new InvalidValueError(roots.length === 0
+      ? 'No primary type: every struct type is referenced by another'
+      : `Ambiguous primary type: ${roots.join(', ')}`);
+  }
+  return roots[0];
+}
+
+// Check that `typedData` ({ domain, types, primaryType, message }) is
+// consistent; throws an InvalidValueError with the path of the first problem
+function validateTypedData(typedData, options = {}) {
+  encodeTypedData(typedData, options);
+  return true;
+}
+
+// Digest to sign: keccak256("\x19\x01" || domainSeparator || hashStruct(message))
+function hashTypedData(typedData, options = {}) {
+  const { domainSeparator, messageHash } = encodeTypedData(typedData, options);
+  return keccak256(Buffer.concat([
+    Buffer.from([0x19, 0x01]),
+    hexToBuffer(domainSeparator),
+    messageHash ? hexToBuffer(messageHash) : Buffer.alloc(0)
+  ]));
+}
+
+function encodeTypedData(typedData, options) {
+  if (typedData === null || typeof typedData !== 'object') {
+    throw new InvalidValueError('Expected typed data { domain, types, primaryType, message }');
+  }
+
+  const types = getTypes(typedData);
+  const typedDataEncoder = new TypedDataEncoder(types, options);
+  const primaryType = typedData.primaryType || getPrimaryType(types);
+  const domainSeparator = typedDataEncoder.hashStruct('EIP712Domain', typedData.domain, 'domain');
+
+  // A domain-only signature has no message hash
+  if (primaryType === 'EIP712Domain') {
+    return { domainSeparator, messageHash: null };
+  }
+  return { domainSeparator, messageHash: typedDataEncoder.hashStruct(primaryType, typedData.message, 'message') };
+}
+
+// EIP-712 struct types of an ABI tuple param, e.g. the `order` argument of
+// a function. Struct names come from `internalType` ("struct Exchange.Order")
+// and fall back to the capitalized param name.
+function getTypedDataTypes(param) {
+  const types = {};
+  const primaryType = addStructType(types, new Map(), param);
+  return { primaryType, types };
+}
+
+// `shapes` holds the fields each struct name was registered with: different
+// structs under one name would otherwise share the first one's type
+function addStructType(types, shapes, param) {
+  const name = getStructName(param);
+  const shape = JSON.stringify(getStructShape(param));
+  if (shapes.has(name)) {
+    if (shapes.get(name) !== shape) {
+      throw new InvalidValueError(`Different structs are named ${name}; set internalType to tell them apart`, { path: param.name });
+    }
+    return name;
+  }
+  shapes.set(name, shape);
+
+  // Registered before its fields so the struct precedes the ones it references
+  types[name] = [];
+  types[name] = param.components.map(component => {
+    if (!component.type.startsWith('tuple')) {
+      return { name: component.name, type: component.type };
+    }
+    // Keep array dimensions: tuple[2][] becomes Order[2][]
+    const dimensions = component.type.slice('tuple'.length);
+    return { name: component.name, type: addStructType(types, shapes, component) + dimensions };
+  });
+  return name;
+}
+
+// Field names and types of a struct, nested structs expanded
+function getStructShape(param) {
+  return param.components.map(component => (component.type.startsWith('tuple')
+    ? [component.name, getStructName(component) + component.type.slice('tuple'.length), getStructShape(component)]
+    : [component.name, component.type]));
+}
+
+function getStructName(param) {
+  if (!param || !String(param.type).startsWith('tuple') || !Array.isArray(param.components)) {
+    throw new InvalidValueError(`Expected a tuple param, got: ${param && param.type}`);
+  }
+
+  const match = typeof param.internalType === 'string' && param.internalType.match(/^struct\s+(?:\w+\.)*(\w+)/);
+  if (match) return match[1];
+  if (param.name) return param.name[0].toUpperCase() + param.name.slice(1);
+  throw new InvalidValueError('Cannot name an unnamed struct without internalType');
+}
+
+function getBaseType(type) {
+  const array = parseArrayType(type);
+  return array ? getBaseType(array.baseType) : type;
+}
+
+function isAtomicType(type) {
+  return ['address', 'bool', 'string', 'bytes'].includes(type) || getTypeSize(type) !== null;
+}
+
+module.exports = {
+  TypedDataEncoder,
+  getDomainTypes,
+  hashDomain,
+  hashTypedData,
+  validateTypedData,
+  getTypedDataTypes
+};
@@ -1,26 +1,48 @@
-const { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex } = require('./utils');
+const { keccak256 } = require('ethers');
+const { hexToBuffer, bufferToHex, padLeft, padRight, toBigInt, isHex, parseArrayType, getTupleComponents, isDynamicType, getTypeSize, joinPath, hasValidChecksum } = require('./utils');
+const { InvalidValueError, OverflowError, UnsupportedTypeError } = require('./errors');
 
 class Encoder {
-  constructor() {
+  // options.resolveName(name): address for a non-hex address input such as an
+  // ENS name, or null/undefined when unknown. Called synchronously, so
+  // network lookups have to be done (and cached) beforehand.
+  constructor(options = {}) {
+    this.resolveName = options.resolveName || null;
+
     // Cache for commonly used values
     this.cache = new Map();
   }
 
   // Main encoding function
   encodeParameters(types, values) {
-    if (types.length !== values.length) {
-      throw new Error(`Type/value count mismatch: ${types.length} types, ${values.length} values`);
+    if (!Array.isArray(values) || types.length !== values.length) {
+      const count = Array.isArray(values) ? values.length : typeof values;
+      throw new InvalidValueError(`Type/value count mismatch: ${types.length} types, ${count} values`);
+    }
+
+    const paths = types.map((type, i) => (typeof type === 'object' && type.name) || String(i));
+    return bufferToHex(this.encodeHeadTail(types, values, paths));
+  }
+
+  // Head/tail encoding shared by parameter lists and tuples: static values are
+  // inlined in the head, dynamic values get an offset (relative to the start
+  // of this sequence) in the head and their data appended to the tail.
+  // `paths` names each element for error reporting.
+  encodeHeadTail(types, values, paths = []) {
+    const encodedParts = types.map((type, i) => this.encodeParameter(type, values[i], paths[i]));
+
+    let dynamicOffset = 0;
+    for (let i = 0; i < types.length; i++) {
+      dynamicOffset += this.isDynamicType(types[i]) ? 32 : encodedParts[i].length;
     }
 
     const staticParts = [];
     const dynamicParts = [];
-    let dynamicOffset = types.length * 32; // Each type takes 32 bytes in static part
 
     for (let i = 0; i < types.length; i++) {
-      const typeStr = typeof types[i] === 'string' ? types[i] : types[i].type;
-      const encoded = this.encodeParameter(typeStr, values[i]);
-      
-      if (this.isDynamicType(typeStr)) {
+      const encoded = encodedParts[i];
+
+      if (this.isDynamicType(types[i])) {
         // Dynamic type: store offset in static part, data in dynamic part
         staticParts.push(this.encodeUint(dynamicOffset));
         dynamicParts.push(encoded);
@@ -31,45 +53,42 @@ class Encoder {
       }
     }
 
-    // Combine static and dynamic parts
-    const result = Buffer.concat([...staticParts, ...dynamicParts]);
-    return bufferToHex(result);
+    return Buffer.concat([...staticParts, ...dynamicParts]);
   }
 
   // Encode single parameter
-  encodeParameter(type, value) {
+  encodeParameter(type, value, path) {
+    // Handle ABI object format
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
     // Handle arrays first
-    if (type.includes('[')) {
-      return this.encodeArray(type, value);
+    if (typeStr.endsWith(']')) {
+      return this.encodeArray(type, value, path);
     }
 
     // Handle tuple (struct)
-    if (type.startsWith('tuple')) {
-      return this.encodeTuple(type, value);
+    if (typeStr.startsWith('tuple')) {
+      return this.encodeTuple(type, value, path);
     }
 
     // Handle basic types
-    switch (type) {
+    switch (typeStr) {
       case 'bool':
         return this.encodeBool(value);
       case 'address':
-        return this.encodeAddress(value);
+        return this.encodeAddress(value, path);
       case 'bytes':
-        return this.encodeBytes(value);
+        return this.encodeBytes(value, path);
       case 'string':
-        return this.encodeString(value);
+        return this.encodeString(value, path);
       default:
-        if (type.startsWith('uint')) {
-          return this.encodeUint(value, parseInt(type.slice(4)) || 256);
+        const size = getTypeSize(typeStr);
+        if (size !== null) {
+          if (typeStr.startsWith('uint')) return this.encodeUint(value, size, path);
+          if (typeStr.startsWith('int')) return this.encodeInt(value, size, path);
+          return this.encodeFixedBytes(value, size, path);
         }
-        if (type.startsWith('int')) {
-          return this.encodeInt(value, parseInt(type.slice(3)) || 256);
-        }
-        if (type.startsWith('bytes') && type.length > 5) {
-          const size = parseInt(type.slice(5));
-          return this.encodeFixedBytes(value, size);
-        }
-        throw new Error(`Unsupported type: ${type}`);
+        throw new UnsupportedTypeError(`Unsupported type: ${typeStr}`, { path });
     }
   }
 
@@ -78,28 +97,28 @@ class Encoder {
     return padLeft(Buffer.from([value ? 1 : 0]));
   }
 
-  encodeUint(value, bits = 256) {
-    const bigIntValue = toBigInt(value);
+  encodeUint(value, bits = 256, path) {
+    const bigIntValue = this.toInteger(value, `uint${bits}`, path);
     if (bigIntValue < 0n) {
-      throw new Error(`Negative value for uint${bits}: ${value}`);
+      throw new OverflowError(`Negative value for uint${bits}: ${value}`, { path });
     }
     
     const maxValue = (1n << BigInt(bits)) - 1n;
     if (bigIntValue > maxValue) {
-      throw new Error(`Value too large for uint${bits}: ${value}`);
+      throw new OverflowError(`Value too large for uint${bits}: ${value}`, { path });
     }
 
     const hex = bigIntValue.toString(16).padStart(64, '0');
     return Buffer.from(hex, 'hex');
   }
 
-  encodeInt(value, bits = 256) {
-    const bigIntValue = toBigInt(value);
+  encodeInt(value, bits = 256, path) {
+    const bigIntValue = this.toInteger(value, `int${bits}`, path);
     const minValue = -(1n << (BigInt(bits) - 1n));
     const maxValue = (1n << (BigInt(bits) - 1n)) - 1n;
     
     if (bigIntValue < minValue || bigIntValue > maxValue) {
-      throw new Error(`Value out of range for int${bits}: ${value}`);
+      throw new OverflowError(`Value out of range for int${bits}: ${value}`, { path });
     }
 
     let hex;
@@ -114,49 +133,53 @@ class Encoder {
     return Buffer.from(hex, 'hex');
   }
 
-  encodeAddress(value) {
-    if (typeof value !== 'string' || !value.startsWith('0x') || value.length !== 42) {
-      throw new Error(`Invalid address: ${value}`);
+  // Convert numeric input to BigInt, reporting unparsable values as InvalidValueError
+  toInteger(value, type, path) {
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+      throw new InvalidValueError(`Non-integer value for ${type}: ${value}`, { path });
+    }
+    try {
+      return toBigInt(value);
+    } catch (error) {
+      throw new InvalidValueError(`Invalid ${type} value: ${value}`, { path, cause: error });
+    }
+  }
+
+  encodeAddress(value, path) {
+    if (this.resolveName && typeof value === 'string' && !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      value = this.resolveAddress(value, path);
+    }
+    if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+      throw new InvalidValueError(`Invalid address: ${value}`, { path });
+    }
+    if (!hasValidChecksum(value)) {
+      throw new InvalidValueError(`Invalid address checksum: ${value}`, { path });
     }
     
     const addressBuffer = hexToBuffer(value);
     return padLeft(addressBuffer);
   }
 
-  encodeFixedBytes(value, size) {
-    let buffer;
-    if (typeof value === 'string') {
-      if (isHex(value)) {
-        buffer = hexToBuffer(value);
-      } else {
-        buffer = Buffer.from(value, 'utf8');
-      }
-    } else if (Buffer.isBuffer(value)) {
-      buffer = value;
-    } else {
-      throw new Error(`Invalid bytes value: ${value}`);
+  resolveAddress(name, path) {
+    const address = this.resolveName(name);
+    if (address === null || address === undefined) {
+      throw new InvalidValueError(`Cannot resolve name: ${name}`, { path });
     }
+    return address;
+  }
+
+  encodeFixedBytes(value, size, path) {
+    const buffer = this.toBytes(value, path);
 
     if (buffer.length > size) {
-      throw new Error(`Bytes too long for bytes${size}: ${buffer.length} > ${size}`);
+      throw new InvalidValueError(`Bytes too long for bytes${size}: ${buffer.length} > ${size}`, { path });
     }
 
     return padRight(buffer);
   }
 
-  encodeBytes(value) {
-    let buffer;
-    if (typeof value === 'string') {
-      if (isHex(value)) {
-        buffer = hexToBuffer(value);
-      } else {
-        buffer = Buffer.from(value, 'utf8');
-      }
-    } else if (Buffer.isBuffer(value)) {
-      buffer = value;
-    } else {
-      throw new Error(`Invalid bytes value: ${value}`);
-    }
+  encodeBytes(value, path) {
+    const buffer = this.toBytes(value, path);
 
     // Dynamic bytes: length + data
     const length = this.encodeUint(buffer.length);
@@ -164,83 +187,224 @@ class Encoder {
     return Buffer.concat([length, paddedData]);
   }
 
-  encodeString(value) {
+  // Hex strings are decoded, other strings taken as UTF-8
+  toBytes(value, path) {
+    if (typeof value === 'string') {
+      if (isHex(value)) {
+        if (value.length % 2 !== 0) {
+          throw new InvalidValueError(`Odd-length hex bytes value: ${value}`, { path });
+        }
+        return hexToBuffer(value);
+      }
+      return Buffer.from(value, 'utf8');
+    }
+    if (Buffer.isBuffer(value)) {
+      return value;
+    }
+    throw new InvalidValueError(`Invalid bytes value: ${value}`, { path });
+  }
+
+  encodeString(value, path) {
     if (typeof value !== 'string') {
-      throw new Error(`Expected string, got: ${typeof value}`);
+      throw new InvalidValueError(`Expected string, got: ${typeof value}`, { path });
     }
     
     const buffer = Buffer.from(value, 'utf8');
     return this.encodeBytes(buffer);
   }
 
-  encodeArray(type, values) {
+  encodeArray(type, values, path) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
     if (!Array.isArray(values)) {
-      throw new Error(`Expected array for type ${type}, got: ${typeof values}`);
+      throw new InvalidValueError(`Expected array for type ${typeStr}, got: ${typeof values}`, { path });
     }
 
-    // Parse array type: e.g., "uint256[]" or "uint256[5]"
-    const bracketIndex = type.indexOf('[');
-    const baseType = type.slice(0, bracketIndex);
-    const arraySpec = type.slice(bracketIndex);
-    
-    const isFixedSize = arraySpec !== '[]';
-    const fixedSize = isFixedSize ? parseInt(arraySpec.slice(1, -1)) : null;
+    // Parse outermost dimension: "uint256[2][]" is a dynamic array of uint256[2]
+    const { baseType, length: fixedSize } = parseArrayType(typeStr);
+    const isFixedSize = fixedSize !== null;
 
     if (isFixedSize && values.length !== fixedSize) {
-      throw new Error(`Array length mismatch: expected ${fixedSize}, got ${values.length}`);
+      throw new InvalidValueError(`Array length mismatch: expected ${fixedSize}, got ${values.length}`, { path });
     }
 
-    // Encode array elements
-    const encodedElements = values.map(value => this.encodeParameter(baseType, value));
+    const elementType = this.getElementType(type, baseType);
+    const elementTypes = new Array(values.length).fill(elementType);
+
+    let result = [];
+
+    if (!isFixedSize) {
+      // Dynamic array: include length
+      result.push(this.encodeUint(values.length));
+    }
+
+    // Elements are encoded like a tuple of identical types, so offsets of
+    // dynamic elements are relative to the first element head
+    const paths = values.map((_, i) => joinPath(path, i));
+    result.push(this.encodeHeadTail(elementTypes, values, paths));
+    return Buffer.concat(result);
+  }
+
+  // Element type of an array; keeps tuple components when the array is an ABI object
+  getElementType(type, baseType) {
+    return typeof type === 'object' ? { ...type, type: baseType } : baseType;
+  }
+
+  encodeTuple(type, value, path) {
+    const components = getTupleComponents(type);
+    const values = this.getTupleValues(components, value, path);
+    const paths = components.map((component, i) => joinPath(path, component.name || `field${i}`));
+    return this.encodeHeadTail(components, values, paths);
+  }
 
-    if (this.isDynamicType(baseType)) {
-      // Dynamic element type
-      let result = [];
-      
-      if (!isFixedSize) {
-        // Dynamic array: include length
-        result.push(this.encodeUint(values.length));
+  // Tuple values in component order, from positional or named-object input
+  getTupleValues(components, value, path) {
+    if (Array.isArray(value)) {
+      if (value.length !== components.length) {
+        throw new InvalidValueError(`Tuple length mismatch: expected ${components.length}, got ${value.length}`, { path });
       }
+      return value;
+    }
+    if (value !== null && typeof value === 'object') {
+      return components.map((component, i) => {
+        if (!component.name || !(component.name in value)) {
+          throw new InvalidValueError(`Missing tuple field: ${component.name || `#${i}`}`, { path });
+        }
+        return value[component.name];
+      });
+    }
+    throw new InvalidValueError(`Expected array or object for tuple, got: ${typeof value}`, { path });
+  }
 
-      // Calculate offsets for dynamic elements
-      let offset = values.length * 32;
-      const staticParts = [];
-      const dynamicParts = [];
+  // Encode an indexed event parameter as a 32-byte topic. Value types are
+  // padded like regular parameters; strings and bytes are stored as the
+  // keccak256 hash of their contents, arrays and tuples as the hash of their
+  // in-place encoding.
+  encodeTopic(type, value, path) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
 
-      for (const encoded of encodedElements) {
-        staticParts.push(this.encodeUint(offset));
-        dynamicParts.push(encoded);
-        offset += encoded.length;
+    if (typeStr === 'string' || typeStr === 'bytes') {
+      return keccak256(this.toTopicBytes(typeStr, value, path));
+    }
+    if (this.isHashedTopic(type)) {
+      return keccak256(this.encodeTopicData(type, value, path));
+    }
+    return bufferToHex(this.encodeParameter(type, value, path));
+  }
+
+  isHashedTopic(type) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+    return typeStr === 'string' || typeStr === 'bytes' || typeStr.endsWith(']') || typeStr.startsWith('tuple');
+  }
+
+  // In-place encoding of hashed topics: elements are concatenated, each padded
+  // to a multiple of 32 bytes, without length prefixes or offsets
+  encodeTopicData(type, value, path) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
+    if (typeStr.endsWith(']')) {
+      const { baseType, length } = parseArrayType(typeStr);
+      if (!Array.isArray(value)) {
+        throw new InvalidValueError(`Expected array for type ${typeStr}, got: ${typeof value}`, { path });
+      }
+      if (length !== null && value.length !== length) {
+        throw new InvalidValueError(`Array length mismatch: expected ${length}, got ${value.length}`, { path });
       }
+      const elementType = this.getElementType(type, baseType);
+      return Buffer.concat(value.map((item, i) => this.encodeTopicData(elementType, item, joinPath(path, i))));
+    }
 
-      result.push(...staticParts, ...dynamicParts);
-      return Buffer.concat(result);
-    } else {
-      // Static element type
-      let result = [];
-      
-      if (!isFixedSize) {
-        // Dynamic array: include length
-        result.push(this.encodeUint(values.length));
+    if (typeStr.startsWith('tuple')) {
+      const components = getTupleComponents(type);
+      const values = this.getTupleValues(components, value, path);
+      return Buffer.concat(components.map((component, i) => {
+        return this.encodeTopicData(component, values[i], joinPath(path, component.name || `field${i}`));
+      }));
+    }
+
+    if (typeStr === 'string' || typeStr === 'bytes') {
+      const buffer = this.toTopicBytes(typeStr, value, path);
+      return padRight(buffer, Math.ceil(buffer.length / 32) * 32);
+    }
+
+    return this.encodeParameter(type, value, path);
+  }
+
+  toTopicBytes(typeStr, value, path) {
+    if (typeStr === 'bytes') return this.toBytes(value, path);
+    if (typeof value !== 'string') {
+      throw new InvalidValueError(`Expected string, got: ${typeof value}`, { path });
+    }
+    return Buffer.from(value, 'utf8');
+  }
+
+  // Solidity abi.encodePacked: values take their minimal width (uint16 is 2
+  // bytes, address 20, bool 1) and strings and bytes their raw contents, with
+  // no offsets or length prefixes. Array elements keep their 32-byte padding.
+  encodePacked(types, values) {
+    if (!Array.isArray(values) || types.length !== values.length) {
+      const count = Array.isArray(values) ? values.length : typeof values;
+      throw new InvalidValueError(`Type/value count mismatch: ${types.length} types, ${count} values`);
+    }
+
+    const parts = types.map((type, i) => {
+      const path = (typeof type === 'object' && type.name) || String(i);
+      return this.encodePackedParameter(type, values[i], path);
+    });
+    return bufferToHex(Buffer.concat(parts));
+  }
+
+  encodePackedParameter(type, value, path) {
+    const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
+    if (typeStr.endsWith(']')) {
+      const { baseType, length } = parseArrayType(typeStr);
+      // Solidity rejects packed arrays of dynamic types, nested arrays and structs
+      if (baseType.endsWith(']') || baseType.startsWith('tuple') || baseType === 'string' || baseType === 'bytes') {
+        throw new UnsupportedTypeError(`Unsupported type in packed mode: ${typeStr}`, { path });
       }
+      if (!Array.isArray(value)) {
+        throw new InvalidValueError(`Expected array for type ${typeStr}, got: ${typeof value}`, { path });
+      }
+      if (length !== null && value.length !== length) {
+        throw new InvalidValueError(`Array length mismatch: expected ${length}, got ${value.length}`, { path });
+      }
+      return Buffer.concat(value.map((item, i) => this.encodeParameter(baseType, item, joinPath(path, i))));
+    }
 
-      result.push(...encodedElements);
-      return Buffer.concat(result);
+    if (typeStr.startsWith('tuple')) {
+      throw new UnsupportedTypeError(`Unsupported type in packed mode: ${typeStr}`, { path });
+    }
+
+    switch (typeStr) {
+      case 'bool':
+        return Buffer.from([value ? 1 : 0]);
+      case 'address':
+        return this.encodeAddress(value, path).slice(12);
+      case 'bytes':
+        return this.toBytes(value, path);
+      case 'string':
+        return this.toTopicBytes('string', value, path);
+      default:
+        const size = getTypeSize(typeStr);
+        if (size !== null) {
+          // Integers keep the low-order bytes of their (two's complement) word
+          if (typeStr.startsWith('uint')) return this.encodeUint(value, size, path).slice(32 - size / 8);
+          if (typeStr.startsWith('int')) return this.encodeInt(value, size, path).slice(32 - size / 8);
+          return this.encodeFixedBytes(value, size, path).slice(0, size);
+        }
+        throw new UnsupportedTypeError(`Unsupported type: ${typeStr}`, { path });
     }
   }
 
-  encodeTuple(type, value) {
-    // TODO: Implement tuple encoding for structs
-    // This would require parsing the tuple type definition
-    throw new Error('Tuple encoding not yet implemented');
+  // keccak256(abi.encodePacked(...)), e.g. for signed message digests and CREATE2 salts
+  solidityPackedKeccak256(types, values) {
+    return keccak256(this.encodePacked(types, values));
   }
 
   // Check if type is dynamic (variable length)
   isDynamicType(type) {
-    if (type === 'string' || type === 'bytes') return true;
-    if (type.includes('[]')) return true;
-    if (type.startsWith('tuple')) return true; // Assume tuples can be dynamic
-    return false;
+    return isDynamicType(type);
   }
 }
 
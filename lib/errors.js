@@ -0,0 +1,79 @@
+// Base class for every error thrown by the codec.
+// `code` is machine-readable, `path` points at the offending parameter
+// (e.g. "order.items[3].amount"), `offset` at the byte position when known and
+// `fragment` at the ABI entry being encoded or decoded.
+class ABICodecError extends Error {
+  constructor(message, { code = 'ABI_CODEC_ERROR', path, offset, fragment, cause } = {}) {
+    super(path ? `${message} (at ${path})` : message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.path = path || null;
+    this.offset = offset === undefined ? null : offset;
+    this.fragment = fragment || null;
+    if (cause) this.cause = cause;
+  }
+}
+
+// No function/event matches the requested name, signature or selector
+class UnknownFragmentError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(message, { code: 'UNKNOWN_FRAGMENT', ...details });
+  }
+}
+
+// A bare name matches several overloads and the arguments don't pick one
+class AmbiguousOverloadError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(message, { code: 'AMBIGUOUS_OVERLOAD', ...details });
+    this.candidates = details.candidates || [];
+  }
+}
+
+// Type string the codec does not understand
+class UnsupportedTypeError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(message, { code: 'UNSUPPORTED_TYPE', ...details });
+  }
+}
+
+// Human-readable ABI signature that cannot be parsed
+class InvalidSignatureError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(message, { code: 'INVALID_SIGNATURE', ...details });
+  }
+}
+
+// Value cannot be encoded as the requested type
+class InvalidValueError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(message, { code: 'INVALID_VALUE', ...details });
+  }
+}
+
+// Numeric value outside the range of its type
+class OverflowError extends InvalidValueError {
+  constructor(message, details = {}) {
+    super(message, { ...details, code: 'NUMERIC_OVERFLOW' });
+  }
+}
+
+// Malformed or non-canonical encoded data
+class DecodingError extends ABICodecError {
+  constructor(message, details = {}) {
+    super(details.offset === undefined ? message : `${message} at byte ${details.offset}`, {
+      code: 'MALFORMED_DATA',
+      ...details
+    });
+  }
+}
+
+module.exports = {
+  ABICodecError,
+  UnknownFragmentError,
+  AmbiguousOverloadError,
+  UnsupportedTypeError,
+  InvalidSignatureError,
+  InvalidValueError,
+  OverflowError,
+  DecodingError
+};
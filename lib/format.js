@@ -0,0 +1,154 @@
+const { Result } = require('ethers');
+const { hexToBuffer, parseArrayType, parseTupleComponents, getTypeSize, toChecksumAddress } = require('./utils');
+const { InvalidValueError } = require('./errors');
+
+// Built-in conversions for each kind of decoded value. They start from the
+// decoder's own shape: decimal strings, lowercase addresses and hex bytes.
+const CONVERSIONS = {
+  int: {
+    string: value => value,
+    bigint: value => BigInt(value),
+    // Numbers for types that always fit a double exactly (up to 48 bits)
+    safe: (value, type) => (getTypeSize(type) <= 48 ? Number(value) : value)
+  },
+  address: {
+    lowercase: value => value,
+    checksum: value => toChecksumAddress(value)
+  },
+  bytes: {
+    hex: value => value,
+    buffer: value => hexToBuffer(value)
+  },
+  // Positional values: function inputs and outputs, constructor arguments
+  list: {
+    array: values => values,
+    result: (values, names) => Result.fromItems(values, names)
+  },
+  // Named values: tuples, event and error arguments
+  record: {
+    object: (values, names) => {
+      const result = {};
+      names.forEach((name, i) => {
+        result[name] = values[i];
+      });
+      return result;
+    },
+    result: (values, names) => Result.fromItems(values, names)
+  }
+};
+
+const PRESETS = {
+  strings: { int: 'string', address: 'lowercase', bytes: 'hex', list: 'array', record: 'object' },
+  bigint: { int: 'bigint', address: 'lowercase', bytes: 'hex', list: 'array', record: 'object' },
+  ethers: { int: 'bigint', address: 'checksum', bytes: 'hex', list: 'result', record: 'result' },
+  'json-safe': { int: 'safe', address: 'lowercase', bytes: 'hex', list: 'array', record: 'object' }
+};
+
+// Converts decoded values into the representation a consumer wants. `format`
+// is a preset name or an object naming a `preset` to start from and overriding
+// any of its conversions, either by name ({ bytes: 'buffer' }) or with a
+// function: int(decimal, type), address(lowercase), bytes(hex, type),
+// list(values, names) and record(values, names).
+class ValueFormatter {
+  constructor(format = 'strings') {
+    const { preset = 'strings', ...overrides } = typeof format === 'string' ? { preset: format } : format;
+    if (!PRESETS[preset]) {
+      throw new InvalidValueError(`Unknown value format: ${preset}`);
+    }
+
+    const spec = { ...PRESETS[preset], ...overrides };
+    for (const kind of Object.keys(CONVERSIONS)) {
+      const conversion = typeof spec[kind] === 'function' ? spec[kind] : CONVERSIONS[kind][spec[kind]];
+      if (!conversion) {
+        throw new InvalidValueError(`Unknown ${kind} format: ${spec[kind]}`);
+      }
+      this[kind] = conversion;
+    }
+
+    // Decoded values are already in the default shape
+    this.isDefault = Object.keys(CONVERSIONS).every(kind => this[kind] === CONVERSIONS[kind][PRESETS.strings[kind]]);
+  }
+
+  // Formatter for codec and decoder options: `format`, with `checksumAddresses`
+  // as a shorthand for { address: 'checksum' }
+  static fromOptions(options = {}) {
+    const format = typeof options.format === 'string' ? { preset: options.format } : options.format || {};
+    return new ValueFormatter(options.checksumAddresses ? { ...format, address: 'checksum' } : format);
+  }
+
+  formatValue(param, value) {
+    if (value === null || value === undefined) return value;
+    const type = typeof param === 'object' ? param.type : param;
+
+    const array = parseArrayType(type);
+    if (array) {
+      const element = typeof param === 'object' ? { ...param, type: array.baseType } : array.baseType;
+      return Array.isArray(value) ? value.map(item => this.formatValue(element, item)) : value;
+    }
+
+    if (type.startsWith('tuple')) {
+      const components = getComponents(param);
+      return typeof value === 'object'
+        ? this.formatRecord(components, components.map((component, i) => value[component.name || `field${i}`]))
+        : value;
+    }
+
+    // Values supplied from elsewhere (e.g. resolved preimages) are left as given
+    if (typeof value !== 'string') return value;
+    if (type === 'address') return this.address(value);
+    if (/^bytes\d*$/.test(type)) return this.bytes(value, type);
+    if (/^u?int\d*$/.test(type)) return this.int(value, type);
+    return value;
+  }
+
+  formatList(params, values) {
+    if (this.isDefault) return values;
+    return this.list(
+      values.map((value, i) => this.formatValue(params[i], value)),
+      params.map(param => (typeof param === 'object' && param.name) || '')
+    );
+  }
+
+  formatRecord(params, values) {
+    return this.record(
+      values.map((value, i) => this.formatValue(params[i], value)),
+      params.map((param, i) => (typeof param === 'object' && param.name) || `field${i}`)
+    );
+  }
+
+  // Event args as decoded by Decoder#decodeLog (keyed by input name, or
+  // field<i> for unnamed inputs). Hashed indexed params keep their topic hash;
+  // only a resolved preimage is formatted.
+  formatLogArgs(inputs, args) {
+    if (this.isDefault) return args;
+
+    const values = inputs.map((input, i) => {
+      const value = args[input.name || `field${i}`];
+      if (!input.indexed || !isHashedType(input.type)) {
+        return this.formatValue(input, value);
+      }
+      return value !== null && typeof value === 'object'
+        ? { hash: value.hash, value: this.formatValue(input, value.value) }
+        : value;
+    });
+
+    return this.record(values, inputs.map((input, i) => input.name || `field${i}`));
+  }
+}
+
+// Tuple components from an ABI object or a "tuple(...)" type string
+function getComponents(param) {
+  if (typeof param === 'object' && param.components) return param.components;
+  const type = typeof param === 'object' ? param.type : param;
+  return parseTupleComponents(type.slice('tuple('.length, type.lastIndexOf(')')));
+}
+
+// Indexed params of these types are emitted as a keccak256 hash
+function isHashedType(type) {
+  return type === 'string' || type === 'bytes' || type.endsWith(']') || type.startsWith('tuple');
+}
+
+module.exports = {
+  ValueFormatter,
+  PRESETS
+};
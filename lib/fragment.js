@@ -0,0 +1,249 @@
+const { InvalidSignatureError } = require('./errors');
+
+// Human-readable ABI support: Solidity-style signature strings such as
+// "function transfer(address to, uint256 amount) returns (bool)" are parsed
+// into JSON ABI fragments, and JSON fragments are formatted back.
+
+const MUTABILITIES = ['pure', 'view', 'nonpayable', 'payable'];
+const VISIBILITIES = ['external', 'public', 'internal', 'private', 'virtual', 'override'];
+const DATA_LOCATIONS = ['memory', 'calldata', 'storage'];
+
+const ELEMENTARY_TYPE = /^(address|bool|string|bytes|u?int(8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?|bytes([1-9]|[12]\d|3[0-2]))$/;
+
+// Parse one signature string into a JSON ABI fragment
+function parseSignature(signature) {
+  if (typeof signature !== 'string') {
+    throw new InvalidSignatureError(`Expected signature string, got: ${typeof signature}`);
+  }
+
+  const text = signature.trim().replace(/\s+/g, ' ').replace(/;$/, '');
+  // A missing keyword means a function, as in "transfer(address,uint256)"
+  const keywordMatch = text.match(/^(function|event|error|constructor|fallback|receive)\b\s*(.*)$/);
+  const kind = keywordMatch ? keywordMatch[1] : 'function';
+  let rest = keywordMatch ? keywordMatch[2] : text;
+
+  let name = null;
+  if (kind === 'function' || kind === 'event' || kind === 'error') {
+    const nameMatch = rest.match(/^([A-Za-z_$][\w$]*)\s*\(/);
+    if (!nameMatch) {
+      throw new InvalidSignatureError(`Missing name or parameter list in: ${signature}`);
+    }
+    name = nameMatch[1];
+    rest = rest.slice(nameMatch[1].length).trim();
+  }
+
+  if (!rest.startsWith('(')) {
+    throw new InvalidSignatureError(`Missing parameter list in: ${signature}`);
+  }
+  const close = findClosingParen(rest, 0, signature);
+  const inputs = parseParams(rest.slice(1, close), kind === 'event', signature);
+  const modifiers = rest.slice(close + 1).trim();
+
+  switch (kind) {
+    case 'event':
+      return parseEventModifiers({ type: 'event', name, inputs, anonymous: false }, modifiers, signature);
+    case 'error':
+      if (modifiers) throw new InvalidSignatureError(`Unexpected "${modifiers}" in: ${signature}`);
+      return { type: 'error', name, inputs };
+    default:
+      return parseFunctionModifiers(kind, name, inputs, modifiers, signature);
+  }
+}
+
+function parseEventModifiers(fragment, modifiers, signature) {
+  if (modifiers === 'anonymous') {
+    fragment.anonymous = true;
+  } else if (modifiers) {
+    throw new InvalidSignatureError(`Unexpected "${modifiers}" in: ${signature}`);
+  }
+  return fragment;
+}
+
+// Modifiers after the parameter list of functions, constructors, fallback and receive
+function parseFunctionModifiers(kind, name, inputs, modifiers, signature) {
+  let stateMutability = 'nonpayable';
+  let outputs = [];
+  let rest = modifiers;
+
+  while (rest) {
+    const wordMatch = rest.match(/^(\w+)\s*(.*)$/);
+    if (!wordMatch) {
+      throw new InvalidSignatureError(`Unexpected "${rest}" in: ${signature}`);
+    }
+    const [, word, after] = wordMatch;
+
+    if (word === 'returns') {
+      if (!after.startsWith('(')) {
+        throw new InvalidSignatureError(`Missing return parameter list in: ${signature}`);
+      }
+      const close = findClosingParen(after, 0, signature);
+      outputs = parseParams(after.slice(1, close), false, signature);
+      rest = after.slice(close + 1).trim();
+      continue;
+    }
+
+    if (MUTABILITIES.includes(word)) {
+      stateMutability = word;
+    } else if (word === 'constant') {
+      stateMutability = 'view';
+    } else if (!VISIBILITIES.includes(word)) {
+      throw new InvalidSignatureError(`Unexpected "${word}" in: ${signature}`);
+    }
+    rest = after;
+  }
+
+  if (kind === 'function') {
+    return { type: 'function', name, inputs, outputs, stateMutability };
+  }
+  if (kind === 'receive') {
+    return { type: 'receive', stateMutability: 'payable' };
+  }
+  if (kind === 'fallback') {
+    return { type: 'fallback', stateMutability };
+  }
+  return { type: 'constructor', inputs, stateMutability };
+}
+
+// Index of the parenthesis closing the one at `open`
+function findClosingParen(text, open, signature) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')') depth--;
+    if (depth === 0) return i;
+  }
+  throw new InvalidSignatureError(`Unbalanced parentheses in: ${signature}`);
+}
+
+// Split "address to, (uint256,bool)[] items" at top-level commas into ABI params
+function parseParams(text, allowIndexed, signature) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of text + ',') {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      const trimmed = current.trim();
+      if (trimmed) {
+        params.push(parseParam(trimmed, allowIndexed, signature));
+      } else if (text.trim()) {
+        throw new InvalidSignatureError(`Empty parameter in: ${signature}`);
+      }
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  return params;
+}
+
+// Parse "type [indexed] [location] [name]"
+function parseParam(text, allowIndexed, signature) {
+  const param = { name: '', type: '' };
+  let rest;
+
+  if (text.startsWith('(') || text.startsWith('tuple(')) {
+    const open = text.indexOf('(');
+    const close = findClosingParen(text, open, signature);
+    const suffix = text.slice(close + 1).match(/^((?:\[\d*\])*)/)[1];
+    param.type = 'tuple' + suffix;
+    param.components = parseParams(text.slice(open + 1, close), false, signature);
+    rest = text.slice(close + 1 + suffix.length).trim();
+  } else {
+    const typeMatch = text.match(/^([A-Za-z_$][\w$]*)((?:\[\d*\])*)\s*(.*)$/);
+    if (!typeMatch) {
+      throw new InvalidSignatureError(`Invalid parameter "${text}" in: ${signature}`);
+    }
+    const baseType = normalizeBaseType(typeMatch[1]);
+    if (!ELEMENTARY_TYPE.test(baseType)) {
+      throw new InvalidSignatureError(`Unsupported type "${typeMatch[1]}" in: ${signature}`);
+    }
+    param.type = baseType + typeMatch[2];
+    rest = typeMatch[3];
+  }
+
+  const words = rest ? rest.split(' ') : [];
+  // "address payable" is plain address in the ABI
+  if (words[0] === 'payable' && param.type.startsWith('address')) words.shift();
+
+  let location = null;
+  for (const word of words) {
+    if (word === 'indexed' && allowIndexed) {
+      param.indexed = true;
+    } else if (DATA_LOCATIONS.includes(word)) {
+      if (location) {
+        throw new InvalidSignatureError(`Repeated data location "${word}" in parameter "${text}" of: ${signature}`);
+      }
+      location = word;
+    } else if (!param.name && /^[A-Za-z_$][\w$]*$/.test(word)) {
+      param.name = word;
+    } else {
+      throw new InvalidSignatureError(`Unexpected "${word}" in parameter "${text}" of: ${signature}`);
+    }
+  }
+
+  if (allowIndexed && !param.indexed) {
+    param.indexed = false;
+  }
+
+  return param;
+}
+
+function normalizeBaseType(type) {
+  if (type === 'uint') return 'uint256';
+  if (type === 'int') return 'int256';
+  return type;
+}
+
+// Render a JSON ABI fragment as a human-readable signature
+function formatFragment(fragment) {
+  const inputs = (fragment.inputs || []).map(formatParam).join(', ');
+  const mutability = getStateMutability(fragment);
+
+  switch (fragment.type) {
+    case 'event':
+      return `event ${fragment.name}(${inputs})${fragment.anonymous ? ' anonymous' : ''}`;
+    case 'error':
+      return `error ${fragment.name}(${inputs})`;
+    case 'constructor':
+      return `constructor(${inputs})${mutability === 'payable' ? ' payable' : ''}`;
+    case 'fallback':
+      return `fallback() external${mutability === 'payable' ? ' payable' : ''}`;
+    case 'receive':
+      return 'receive() external payable';
+    default: {
+      let result = `function ${fragment.name}(${inputs})`;
+      if (mutability !== 'nonpayable') result += ` ${mutability}`;
+      if (fragment.outputs && fragment.outputs.length > 0) {
+        result += ` returns (${fragment.outputs.map(formatParam).join(', ')})`;
+      }
+      return result;
+    }
+  }
+}
+
+function formatParam(param) {
+  let type = param.type;
+  if (type.startsWith('tuple')) {
+    type = `tuple(${param.components.map(formatParam).join(', ')})${type.slice(5)}`;
+  }
+  return type + (param.indexed ? ' indexed' : '') + (param.name ? ` ${param.name}` : '');
+}
+
+// Legacy ABIs use `constant`/`payable` flags instead of `stateMutability`
+function getStateMutability(fragment) {
+  if (fragment.stateMutability) return fragment.stateMutability;
+  if (fragment.constant) return 'view';
+  if (fragment.payable) return 'payable';
+  return 'nonpayable';
+}
+
+module.exports = {
+  parseSignature,
+  formatFragment,
+  formatParam
+};
@@ -0,0 +1,133 @@
+const { ABICodec } = require('./codec');
+const { getStandardABI } = require('./standards');
+const { getFunctionSignature } = require('./utils');
+const { InvalidValueError, UnknownFragmentError, DecodingError } = require('./errors');
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+let multicallCodec = null;
+
+function getMulticallCodec() {
+  if (!multicallCodec) {
+    multicallCodec = new ABICodec(getStandardABI('multicall3'));
+  }
+  return multicallCodec;
+}
+
+// Batches contract reads into one Multicall3 aggregate3 call and decodes the
+// response with the ABI of each call: results of successful calls, decoded
+// revert errors of failed ones.
+class Multicall {
+  // options.address: Multicall3 contract (default MULTICALL3_ADDRESS)
+  // options.allowFailure: default for calls that do not set it (default false)
+  constructor(options = {}) {
+    this.address = options.address || MULTICALL3_ADDRESS;
+    this.allowFailure = !!options.allowFailure;
+    this.calls = [];
+  }
+
+  // Add a call { codec, target, function, args, allowFailure }. `codec` is an
+  // ABICodec or an ABI and `function` a name, signature or selector. The call
+  // data is encoded right away, so bad targets and arguments throw here.
+  // Returns the index of the call in the decoded results.
+  add(call) {
+    const { target, function: nameOrSignature, args = [] } = call;
+    const codec = toCodec(call.codec);
+    const index = this.calls.length;
+
+    getMulticallCodec().encoder.encodeAddress(target, `calls[${index}].target`);
+
+    const callData = codec.encodeFunction(nameOrSignature, args);
+    this.calls.push({
+      codec,
+      target,
+      fragment: codec.functions.get(callData.slice(0, 10)),
+      callData,
+      allowFailure: call.allowFailure === undefined ? this.allowFailure : !!call.allowFailure
+    });
+    return index;
+  }
+
+  get length() {
+    return this.calls.length;
+  }
+
+  // Calldata of aggregate3((address target, bool allowFailure, bytes callData)[])
+  encode() {
+    return getMulticallCodec().encodeFunction('aggregate3', [
+      this.calls.map(call => ({ target: call.target, allowFailure: call.allowFailure, callData: call.callData }))
+    ]);
+  }
+
+  // { to, data } ready for eth_call
+  toTransaction() {
+    return { to: this.address, data: this.encode() };
+  }
+
+  // Decode the aggregate3 return data into one entry per call, in the order
+  // they were added: { success, result, error, returnData }. `result` holds
+  // the decoded outputs of a successful call; `error` the decoded revert
+  // ({ name, signature, selector, args }) of a failed one, or null when the
+  // revert data is empty or matches no error in the call's ABI. A successful
+  // call whose return data does not decode keeps `success` and gets a
+  // DecodingError as `error`, so one bad call does not lose the others.
+  decode(data) {
+    const [entries] = getMulticallCodec().decodeFunctionResult('aggregate3', data);
+    if (entries.length !== this.calls.length) {
+      throw new DecodingError(`Expected ${this.calls.length} multicall results, got ${entries.length}`);
+    }
+
+    return entries.map((entry, i) => {
+      const call = this.calls[i];
+      const { success, returnData } = entry;
+
+      if (!success) {
+        return { success, result: null, error: decodeRevert(call.codec, returnData), returnData };
+      }
+
+      try {
+        return { success, result: decodeResult(call, i, returnData), error: null, returnData };
+      } catch (error) {
+        return { success, result: null, error, returnData };
+      }
+    });
+  }
+}
+
+function decodeResult(call, i, returnData) {
+  const signature = getFunctionSignature(call.fragment);
+  const details = { path: `calls[${i}]`, fragment: call.fragment };
+
+  // Multicall3 reports calls to addresses without code as successful
+  if (returnData === '0x' && call.fragment.outputs && call.fragment.outputs.length > 0) {
+    throw new DecodingError(`Call ${i} to ${signature} returned no data; ${call.target} may have no code`, details);
+  }
+
+  try {
+    return call.codec.decodeFunctionResult(call.callData.slice(0, 10), returnData);
+  } catch (error) {
+    throw new DecodingError(`Cannot decode result of call ${i} to ${signature}: ${error.message}`, { ...details, cause: error });
+  }
+}
+
+function decodeRevert(codec, returnData) {
+  try {
+    return codec.decodeError(returnData);
+  } catch (error) {
+    if (error instanceof UnknownFragmentError || error instanceof DecodingError) return null;
+    throw error;
+  }
+}
+
+function toCodec(abiOrCodec) {
+  if (!abiOrCodec) {
+    throw new InvalidValueError('Multicall call needs a codec or ABI');
+  }
+  return abiOrCodec instanceof ABICodec ? abiOrCodec : new ABICodec(abiOrCodec);
+}
+
+module.exports = {
+  Multicall,
+  MULTICALL3_ADDRESS
+};
@@ -0,0 +1,71 @@
+const { parseArrayType } = require('./utils');
+
+// In-memory dictionary of preimages for hashed indexed event params (strings,
+// bytes, structs and arrays), keyed by the topic hash each value produces.
+// The oldest entries are evicted once `maxSize` is reached.
+class PreimageDictionary {
+  constructor(encoder, options = {}) {
+    this.encoder = encoder;
+    this.maxSize = options.maxSize || 10000;
+    this.values = new Map();
+  }
+
+  // Remember `value` as a preimage of type `type`; returns its topic hash,
+  // or null when the value cannot be encoded as that type
+  add(type, value) {
+    let hash;
+    try {
+      hash = this.encoder.encodeTopic(type, value);
+    } catch (error) {
+      return null;
+    }
+
+    this.values.delete(hash);
+    this.values.set(hash, value);
+    if (this.values.size > this.maxSize) {
+      this.values.delete(this.values.keys().next().value);
+    }
+    return hash;
+  }
+
+  get(hash) {
+    return typeof hash === 'string' ? this.values.get(hash.toLowerCase()) : undefined;
+  }
+
+  has(hash) {
+    return this.get(hash) !== undefined;
+  }
+
+  get size() {
+    return this.values.size;
+  }
+
+  clear() {
+    this.values.clear();
+  }
+
+  // Learn every hashable value in a decoded parameter list, including
+  // strings and bytes nested in structs and arrays
+  learn(params, values) {
+    params.forEach((param, i) => this.learnValue(param, values[i]));
+  }
+
+  learnValue(param, value) {
+    if (value === null || value === undefined || !this.encoder.isHashedTopic(param)) {
+      return;
+    }
+    this.add(param, value);
+
+    const array = parseArrayType(param.type);
+    if (array && Array.isArray(value)) {
+      const elementType = { ...param, type: array.baseType };
+      value.forEach(item => this.learnValue(elementType, item));
+    } else if (param.type.startsWith('tuple') && Array.isArray(param.components)) {
+      param.components.forEach((component, i) => {
+        this.learnValue(component, value[component.name || `field${i}`]);
+      });
+    }
+  }
+}
+
+module.exports = PreimageDictionary;
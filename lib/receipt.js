@@ -0,0 +1,124 @@
+const { UnknownFragmentError, DecodingError } = require('./errors');
+
+// Receipt-level fields copied onto every log when the receipt has them
+const RECEIPT_FIELDS = [
+  ['status', normalizeNumber],
+  ['from', value => value],
+  ['to', value => value],
+  ['gasUsed', normalizeNumber],
+  ['effectiveGasPrice', normalizeAmount]
+];
+
+// Position and block/transaction context of a log. Fields missing on the log
+// are inherited from the receipt; `position` stands in for a missing logIndex.
+function getLogContext(log, position, receipt) {
+  const context = {
+    logIndex: log.logIndex === undefined || log.logIndex === null ? position : normalizeNumber(log.logIndex),
+    address: log.address,
+    blockHash: inherit(log.blockHash, receipt.blockHash),
+    blockNumber: normalizeNumber(inherit(log.blockNumber, receipt.blockNumber)),
+    transactionHash: inherit(log.transactionHash, receipt.transactionHash),
+    transactionIndex: normalizeNumber(inherit(log.transactionIndex, receipt.transactionIndex)),
+    removed: log.removed
+  };
+
+  for (const [field, normalize] of RECEIPT_FIELDS) {
+    if (receipt[field] !== undefined && receipt[field] !== null) {
+      context[field] = normalize(receipt[field]);
+    }
+  }
+  return context;
+}
+
+function inherit(value, fallback) {
+  return value === undefined || value === null ? fallback : value;
+}
+
+// JSON-RPC quantities arrive as hex strings ("0x1a") or numbers. Positions,
+// counters and gas become numbers; wei amounts become decimal strings like
+// decoded uint values. Anything else is passed through unchanged.
+function normalizeNumber(value) {
+  const quantity = parseQuantity(value);
+  return quantity === null ? value : Number(quantity);
+}
+
+function normalizeAmount(value) {
+  const quantity = parseQuantity(value);
+  return quantity === null ? value : quantity.toString();
+}
+
+function parseQuantity(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number' && Number.isInteger(value)) return BigInt(value);
+  if (typeof value === 'string' && /^(0x[0-9a-fA-F]+|\d+)$/.test(value)) return BigInt(value);
+  return null;
+}
+
+// Decoded receipt log: the event name and args plus the log's context
+function formatReceiptLog(decoded, log, position, receipt = {}) {
+  return { ...decoded, ...getLogContext(log, position, receipt) };
+}
+
+// Undecoded log kept with its raw topics and data
+function formatRawLog(log, position, receipt = {}) {
+  return { ...getLogContext(log || {}, position, receipt), topics: log && log.topics, data: log && log.data };
+}
+
+// Decode every log of a receipt with `decodeLog(log)`. Returns the decoded
+// logs, or with options.detailed a { decoded, unknown, failed, counts } result:
+// `unknown` logs match no event (decodeLog threw UnknownFragmentError) and
+// `failed` ones carry the `error` thrown while decoding them.
+function decodeReceipt(receipt, decodeLog, options = {}) {
+  const result = { decoded: [], unknown: [], failed: [] };
+  const logs = receipt && Array.isArray(receipt.logs) ? receipt.logs : [];
+
+  logs.forEach((log, i) => {
+    try {
+      // Anonymous events may legitimately have no topics, but a topics array is required
+      if (!log || !Array.isArray(log.topics)) {
+        throw new DecodingError('Log has no topics array');
+      }
+      result.decoded.push(formatReceiptLog(decodeLog(log), log, i, receipt));
+    } catch (error) {
+      if (error instanceof UnknownFragmentError) {
+        result.unknown.push(formatRawLog(log, i, receipt));
+      } else {
+        result.failed.push({ ...formatRawLog(log, i, receipt), error });
+      }
+    }
+  });
+
+  return options.detailed ? withCounts(result) : result.decoded;
+}
+
+// Combine detailed results of several receipts
+function mergeReceiptResults(results) {
+  const merged = { decoded: [], unknown: [], failed: [] };
+  for (const result of results) {
+    merged.decoded.push(...result.decoded);
+    merged.unknown.push(...result.unknown);
+    merged.failed.push(...result.failed);
+  }
+  return withCounts(merged);
+}
+
+function withCounts(result) {
+  const { decoded, unknown, failed } = result;
+  return {
+    ...result,
+    counts: {
+      total: decoded.length + unknown.length + failed.length,
+      decoded: decoded.length,
+      unknown: unknown.length,
+      failed: failed.length
+    }
+  };
+}
+
+module.exports = {
+  formatReceiptLog,
+  normalizeNumber,
+  normalizeAmount,
+  decodeReceipt,
+  mergeReceiptResults
+};
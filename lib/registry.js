@@ -0,0 +1,102 @@
+const { ABICodec } = require('./codec');
+const { getFunctionSignature } = require('./utils');
+const { decodeReceipt } = require('./receipt');
+const { InvalidValueError, UnknownFragmentError } = require('./errors');
+
+// Holds one codec per contract address plus a pool of fallback codecs for
+// generic ABIs (ERC20, ERC721, ...), and routes logs and calls to the codec
+// that can decode them: the contract's own ABI first, then the fallbacks in
+// the order they were added.
+class ABIRegistry {
+  // options: passed to every ABICodec the registry creates from an ABI
+  constructor(options = {}) {
+    this.options = options;
+    this.codecs = new Map();
+    this.fallbacks = [];
+  }
+
+  // Register the ABI (or ABICodec) of the contract at `address`
+  register(address, abiOrCodec) {
+    const codec = this._toCodec(abiOrCodec);
+    this.codecs.set(normalizeAddress(address), codec);
+    return codec;
+  }
+
+  unregister(address) {
+    return this.codecs.delete(normalizeAddress(address));
+  }
+
+  // Add an ABI (or ABICodec) tried for any address
+  addFallback(abiOrCodec) {
+    const codec = this._toCodec(abiOrCodec);
+    this.fallbacks.push(codec);
+    return codec;
+  }
+
+  getCodec(address) {
+    return this.codecs.get(normalizeAddress(address)) || null;
+  }
+
+  _toCodec(abiOrCodec) {
+    return abiOrCodec instanceof ABICodec ? abiOrCodec : new ABICodec(abiOrCodec, this.options);
+  }
+
+  // Codecs to try for a contract, most specific first
+  _getCandidates(address) {
+    const codec = typeof address === 'string' && this.codecs.get(address.toLowerCase());
+    return codec ? [codec, ...this.fallbacks] : this.fallbacks;
+  }
+
+  // Decode a log { address, topics, data } with the first codec having an
+  // event with the same topic0 and topic count
+  decodeLog(log) {
+    const topics = log.topics || [];
+
+    for (const codec of this._getCandidates(log.address)) {
+      const event = codec.findLogEvent(log.data, topics);
+      if (event) {
+        return { ...codec._decodeLogData(event, log.data, topics), address: log.address };
+      }
+    }
+
+    throw new UnknownFragmentError(`No registered ABI decodes log${topics.length > 0 ? ` ${topics[0]}` : ''} from ${log.address}`);
+  }
+
+  // Decode a call { to, data } (or `input`) into { address, name, signature, selector, args }
+  decodeCall(tx) {
+    const data = tx.data || tx.input;
+    if (typeof data !== 'string' || !data.startsWith('0x') || data.length < 10) {
+      throw new InvalidValueError('Calldata too short for a function selector');
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    for (const codec of this._getCandidates(tx.to)) {
+      const func = codec.functions.get(selector);
+      if (!func) continue;
+
+      // Values are already formatted by the codec; only the record is built here
+      const values = codec.decodeFunction(selector, data);
+      const args = codec.formatter.record(Array.from(values), func.inputs.map((input, i) => input.name || `field${i}`));
+      return { address: tx.to, name: func.name, signature: getFunctionSignature(func), selector, args };
+    }
+
+    throw new UnknownFragmentError(`No registered ABI has function ${selector} for ${tx.to}`);
+  }
+
+  // Decode every log of a receipt that a registered ABI understands; see
+  // ABICodec#decodeReceiptLogs for options.detailed
+  decodeReceiptLogs(receipt, options = {}) {
+    return decodeReceipt(receipt, log => this.decodeLog(log), options);
+  }
+}
+
+function normalizeAddress(address) {
+  if (typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    throw new InvalidValueError(`Invalid contract address: ${address}`);
+  }
+  return address.toLowerCase();
+}
+
+module.exports = {
+  ABIRegistry
+};
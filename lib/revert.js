@@ -0,0 +1,39 @@
+// Built-in Solidity revert errors, recognized even when the ABI omits them
+const BUILTIN_ERRORS = [
+  {
+    "type": "error",
+    "name": "Error",
+    "inputs": [{"name": "message", "type": "string"}]
+  },
+  {
+    "type": "error",
+    "name": "Panic",
+    "inputs": [{"name": "code", "type": "uint256"}]
+  }
+];
+
+// Panic(uint256) codes emitted by the Solidity compiler
+const PANIC_REASONS = {
+  0x00: 'Generic compiler inserted panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic operation overflowed or underflowed',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Incorrectly encoded storage byte array',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory (too much memory allocated or array too large)',
+  0x51: 'Called a zero-initialized variable of internal function type'
+};
+
+// Human-readable description of a panic code (number, bigint or decimal string)
+function getPanicDescription(code) {
+  const value = Number(code);
+  return PANIC_REASONS[value] || `Unknown panic code 0x${value.toString(16).padStart(2, '0')}`;
+}
+
+module.exports = {
+  BUILTIN_ERRORS,
+  PANIC_REASONS,
+  getPanicDescription
+};
@@ -0,0 +1,279 @@
+const { parseABI, getFunctionSelector, getFunctionSignature, hexToBuffer } = require('./utils');
+const { InvalidValueError } = require('./errors');
+
+// Bundled ABIs of common standard interfaces, as human-readable signatures.
+// `optional` names functions that implementations may omit; interface
+// detection only requires the others.
+
+const ERC20 = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function transfer(address to, uint256 value) returns (bool)',
+  'function transferFrom(address from, address to, uint256 value) returns (bool)',
+  'function approve(address spender, uint256 value) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+const ERC721 = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function balanceOf(address owner) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function transferFrom(address from, address to, uint256 tokenId)',
+  'function approve(address to, uint256 tokenId)',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+  'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+];
+
+const ERC1155 = [
+  'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+  'function uri(uint256 id) view returns (string)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  'function setApprovalForAll(address operator, bool approved)',
+  'function isApprovedForAll(address account, address operator) view returns (bool)',
+  'function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)',
+  'function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)',
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'event ApprovalForAll(address indexed account, address indexed operator, bool approved)',
+  'event URI(string value, uint256 indexed id)'
+];
+
+const ERC4626 = [
+  ...ERC20,
+  'function asset() view returns (address assetTokenAddress)',
+  'function totalAssets() view returns (uint256 totalManagedAssets)',
+  'function convertToShares(uint256 assets) view returns (uint256 shares)',
+  'function convertToAssets(uint256 shares) view returns (uint256 assets)',
+  'function maxDeposit(address receiver) view returns (uint256 maxAssets)',
+  'function previewDeposit(uint256 assets) view returns (uint256 shares)',
+  'function deposit(uint256 assets, address receiver) returns (uint256 shares)',
+  'function maxMint(address receiver) view returns (uint256 maxShares)',
+  'function previewMint(uint256 shares) view returns (uint256 assets)',
+  'function mint(uint256 shares, address receiver) returns (uint256 assets)',
+  'function maxWithdraw(address owner) view returns (uint256 maxAssets)',
+  'function previewWithdraw(uint256 assets) view returns (uint256 shares)',
+  'function withdraw(uint256 assets, address receiver, address owner) returns (uint256 shares)',
+  'function maxRedeem(address owner) view returns (uint256 maxShares)',
+  'function previewRedeem(uint256 shares) view returns (uint256 assets)',
+  'function redeem(uint256 shares, address receiver, address owner) returns (uint256 assets)',
+  'event Deposit(address indexed sender, address indexed owner, uint256 assets, uint256 shares)',
+  'event Withdraw(address indexed sender, address indexed receiver, address indexed owner, uint256 assets, uint256 shares)'
+];
+
+// WETH9, with its original parameter names
+const WETH = [
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address, address) view returns (uint256)',
+  'function approve(address guy, uint256 wad) returns (bool)',
+  'function transfer(address dst, uint256 wad) returns (bool)',
+  'function transferFrom(address src, address dst, uint256 wad) returns (bool)',
+  'function deposit() payable',
+  'function withdraw(uint256 wad)',
+  'event Approval(address indexed src, address indexed guy, uint256 wad)',
+  'event Transfer(address indexed src, address indexed dst, uint256 wad)',
+  'event Deposit(address indexed dst, uint256 wad)',
+  'event Withdrawal(address indexed src, uint256 wad)'
+];
+
+const UNISWAP_V2_PAIR = [
+  ...ERC20,
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function PERMIT_TYPEHASH() pure returns (bytes32)',
+  'function nonces(address owner) view returns (uint256)',
+  'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+  'function MINIMUM_LIQUIDITY() pure returns (uint256)',
+  'function factory() view returns (address)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  'function price0CumulativeLast() view returns (uint256)',
+  'function price1CumulativeLast() view returns (uint256)',
+  'function kLast() view returns (uint256)',
+  'function mint(address to) returns (uint256 liquidity)',
+  'function burn(address to) returns (uint256 amount0, uint256 amount1)',
+  'function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes data)',
+  'function skim(address to)',
+  'function sync()',
+  'function initialize(address token0, address token1)',
+  'event Mint(address indexed sender, uint256 amount0, uint256 amount1)',
+  'event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)',
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)'
+];
+
+const UNISWAP_V3_POOL = [
+  'function factory() view returns (address)',
+  'function token0() view returns (address)',
+  'function token1() view returns (address)',
+  'function fee() view returns (uint24)',
+  'function tickSpacing() view returns (int24)',
+  'function maxLiquidityPerTick() view returns (uint128)',
+  'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function feeGrowthGlobal0X128() view returns (uint256)',
+  'function feeGrowthGlobal1X128() view returns (uint256)',
+  'function protocolFees() view returns (uint128 token0, uint128 token1)',
+  'function liquidity() view returns (uint128)',
+  'function ticks(int24 tick) view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+  'function positions(bytes32 key) view returns (uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+  'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  'function initialize(uint160 sqrtPriceX96)',
+  'function mint(address recipient, int24 tickLower, int24 tickUpper, uint128 amount, bytes data) returns (uint256 amount0, uint256 amount1)',
+  'function collect(address recipient, int24 tickLower, int24 tickUpper, uint128 amount0Requested, uint128 amount1Requested) returns (uint128 amount0, uint128 amount1)',
+  'function burn(int24 tickLower, int24 tickUpper, uint128 amount) returns (uint256 amount0, uint256 amount1)',
+  'function swap(address recipient, bool zeroForOne, int256 amountSpecified, uint160 sqrtPriceLimitX96, bytes data) returns (int256 amount0, int256 amount1)',
+  'function flash(address recipient, uint256 amount0, uint256 amount1, bytes data)',
+  'function increaseObservationCardinalityNext(uint16 observationCardinalityNext)',
+  'event Initialize(uint160 sqrtPriceX96, int24 tick)',
+  'event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Collect(address indexed owner, address recipient, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount0, uint128 amount1)',
+  'event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+  'event Flash(address indexed sender, address indexed recipient, uint256 amount0, uint256 amount1, uint256 paid0, uint256 paid1)'
+];
+
+const MULTICALL3 = [
+  'function aggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes[] returnData)',
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function aggregate3Value((address target, bool allowFailure, uint256 value, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function blockAndAggregate((address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes32 blockHash, (bool success, bytes returnData)[] returnData)',
+  'function tryAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function tryBlockAndAggregate(bool requireSuccess, (address target, bytes callData)[] calls) payable returns (uint256 blockNumber, bytes32 blockHash, (bool success, bytes returnData)[] returnData)',
+  'function getBasefee() view returns (uint256 basefee)',
+  'function getBlockHash(uint256 blockNumber) view returns (bytes32 blockHash)',
+  'function getBlockNumber() view returns (uint256 blockNumber)',
+  'function getChainId() view returns (uint256 chainid)',
+  'function getCurrentBlockCoinbase() view returns (address coinbase)',
+  'function getCurrentBlockDifficulty() view returns (uint256 difficulty)',
+  'function getCurrentBlockGasLimit() view returns (uint256 gaslimit)',
+  'function getCurrentBlockTimestamp() view returns (uint256 timestamp)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+  'function getLastBlockHash() view returns (bytes32 blockHash)'
+];
+
+const ERC20_METADATA = ['name', 'symbol', 'decimals'];
+
+const STANDARDS = {
+  erc20: { abi: ERC20, optional: ERC20_METADATA },
+  erc721: { abi: ERC721, optional: ['name', 'symbol', 'tokenURI'] },
+  erc1155: { abi: ERC1155, optional: ['uri'] },
+  erc4626: { abi: ERC4626, optional: ERC20_METADATA },
+  weth: { abi: WETH, optional: ERC20_METADATA },
+  uniswapv2pair: {
+    abi: UNISWAP_V2_PAIR,
+    // Forks commonly drop permit and the price accumulators
+    optional: [
+      ...ERC20_METADATA, 'DOMAIN_SEPARATOR', 'PERMIT_TYPEHASH', 'nonces', 'permit', 'MINIMUM_LIQUIDITY',
+      'price0CumulativeLast', 'price1CumulativeLast', 'kLast', 'initialize'
+    ]
+  },
+  uniswapv3pool: { abi: UNISWAP_V3_POOL, optional: [] },
+  multicall3: { abi: MULTICALL3, optional: [] }
+};
+
+// "ERC-20", "uniswap_v2_pair" and "UniswapV2Pair" all name the same standard
+function normalizeStandardName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// JSON ABI of a bundled standard interface
+function getStandardABI(name) {
+  const standard = STANDARDS[normalizeStandardName(name)];
+  if (!standard) {
+    throw new InvalidValueError(`Unknown standard ABI: ${name} (available: ${Object.keys(STANDARDS).join(', ')})`);
+  }
+  return parseABI(standard.abi);
+}
+
+// Selectors pushed by contract bytecode. Solidity dispatchers compare calldata
+// against PUSH4 constants, or PUSH3 when the selector starts with a zero byte.
+function extractSelectors(bytecode) {
+  const code = Buffer.isBuffer(bytecode) ? bytecode : hexToBuffer(bytecode);
+  const selectors = new Set();
+
+  for (let i = 0; i < code.length; i++) {
+    const opcode = code[i];
+    // PUSH1 (0x60) to PUSH32 (0x7f) are followed by 1 to 32 bytes of data
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      if ((size === 3 || size === 4) && i + size < code.length) {
+        const value = code.subarray(i + 1, i + 1 + size).toString('hex');
+        selectors.add('0x' + value.padStart(8, '0'));
+      }
+      i += size;
+    }
+  }
+
+  return selectors;
+}
+
+// Required (non-optional) functions of each standard, computed once
+let requiredSelectors = null;
+
+function getRequiredSelectors() {
+  if (!requiredSelectors) {
+    requiredSelectors = Object.entries(STANDARDS).map(([name, standard]) => {
+      const functions = parseABI(standard.abi)
+        .filter(item => item.type === 'function' && !standard.optional.includes(item.name));
+      return {
+        name,
+        selectors: functions.map(item => ({ selector: getFunctionSelector(item), signature: getFunctionSignature(item) }))
+      };
+    });
+  }
+  return requiredSelectors;
+}
+
+// Report the standard interfaces a contract likely implements, from observed
+// selectors (array or Set) or from its runtime bytecode (hex string or Buffer).
+// Returns [{ standard, score, missing }] sorted by score, where `score` is the
+// fraction of required functions present; options.threshold (default 1) is
+// the minimum score reported.
+function detectInterfaces(selectorsOrBytecode, options = {}) {
+  const threshold = options.threshold === undefined ? 1 : options.threshold;
+
+  let selectors;
+  if (Array.isArray(selectorsOrBytecode) || selectorsOrBytecode instanceof Set) {
+    selectors = new Set([...selectorsOrBytecode].map(selector => String(selector).toLowerCase()));
+  } else if (Buffer.isBuffer(selectorsOrBytecode) || typeof selectorsOrBytecode === 'string') {
+    selectors = extractSelectors(selectorsOrBytecode);
+  } else {
+    throw new InvalidValueError('Expected selectors (array or Set) or bytecode (hex string or Buffer)');
+  }
+
+  const results = [];
+  for (const standard of getRequiredSelectors()) {
+    const missing = standard.selectors.filter(item => !selectors.has(item.selector)).map(item => item.signature);
+    const score = (standard.selectors.length - missing.length) / standard.selectors.length;
+    if (score >= threshold && score > 0) {
+      results.push({ standard: standard.name, score, missing });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  STANDARDS,
+  getStandardABI,
+  extractSelectors,
+  detectInterfaces
+};
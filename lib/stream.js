@@ -0,0 +1,94 @@
+const readline = require('readline');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { InvalidValueError, DecodingError } = require('./errors');
+
+// Streaming counterparts of decodeMultipleReceipts for large dumps: inputs
+// are receipts (with `logs`) or raw logs (with `topics`, as returned by
+// eth_getLogs), decoded one at a time with `codec` (an ABICodec or an
+// ABIRegistry). With options.detailed every input yields its
+// { decoded, unknown, failed, counts } report instead of decoded logs.
+
+function toReceipt(item) {
+  if (item && Array.isArray(item.logs)) return item;
+  if (item && Array.isArray(item.topics)) return { logs: [item] };
+  throw new InvalidValueError('Expected a receipt (with logs) or a log (with topics)');
+}
+
+// Async iterator of decoded logs from a sync or async iterable of inputs
+async function* decodeLogStream(codec, source, options = {}) {
+  for await (const item of source) {
+    const result = codec.decodeReceiptLogs(toReceipt(item), options);
+    if (options.detailed) {
+      yield result;
+    } else {
+      yield* result;
+    }
+  }
+}
+
+// Object-mode Transform: receipts or logs in, decoded logs out. The source is
+// paused once options.highWaterMark (default 16) objects are buffered on
+// either side, so memory stays bounded however large the input is.
+function createDecodeStream(codec, options = {}) {
+  return new Transform({
+    objectMode: true,
+    highWaterMark: options.highWaterMark || 16,
+    transform(item, encoding, callback) {
+      try {
+        const result = codec.decodeReceiptLogs(toReceipt(item), options);
+        if (options.detailed) {
+          this.push(result);
+        } else {
+          for (const log of result) this.push(log);
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+// Async iterator of the JSON values in a JSONL readable stream (blank lines skipped)
+async function* readJSONL(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new DecodingError(`Invalid JSON on line ${lineNumber}`, { cause: error });
+    }
+    yield value;
+  }
+}
+
+// Write every value of a (sync or async) iterable to `output` as one JSON line,
+// waiting for 'drain' when the stream is full. Resolves to the number of lines
+// written; `output` is left open.
+async function writeJSONL(output, source) {
+  let count = 0;
+
+  for await (const value of source) {
+    const line = JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+    if (!output.write(line + '\n')) {
+      await once(output, 'drain');
+    }
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = {
+  decodeLogStream,
+  createDecodeStream,
+  readJSONL,
+  writeJSONL
+};
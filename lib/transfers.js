@@ -0,0 +1,108 @@
+const { ABIRegistry } = require('./registry');
+const { getStandardABI } = require('./standards');
+
+const ZERO_ADDRESS = '0x' + '00'.repeat(20);
+
+// Standard ABIs tried for every log. ERC20 and ERC721 Transfer share topic0
+// and are told apart by topic count; WETH adds Deposit and Withdrawal.
+let transferRegistry = null;
+
+function getTransferRegistry() {
+  if (!transferRegistry) {
+    // Strict, so a non-standard log (e.g. a Transfer without data) is
+    // skipped instead of yielding a transfer without an amount
+    transferRegistry = new ABIRegistry({ strict: true });
+    for (const name of ['erc20', 'erc721', 'erc1155', 'weth']) {
+      transferRegistry.addFallback(getStandardABI(name));
+    }
+  }
+  return transferRegistry;
+}
+
+// Token movements in one receipt or an array of receipts, as
+// { transfers, balanceDeltas }. Each transfer is
+// { token, standard, from, to, tokenId, amount, logIndex, transactionHash }
+// with amounts as decimal strings (ERC721 moves amount '1', ERC20 and WETH have
+// tokenId null). WETH deposits are mints from and withdrawals burns to the
+// zero address.
+function extractTransfers(receipts) {
+  const list = Array.isArray(receipts) ? receipts : [receipts];
+  const transfers = [];
+
+  for (const receipt of list) {
+    for (const log of getTransferRegistry().decodeReceiptLogs(receipt)) {
+      transfers.push(...toTransfers(log));
+    }
+  }
+
+  return { transfers, balanceDeltas: getBalanceDeltas(transfers) };
+}
+
+function toTransfers(log) {
+  const args = log.args;
+
+  switch (log.name) {
+    case 'Transfer':
+      return 'tokenId' in args
+        ? [toTransfer(log, 'erc721', args.from, args.to, args.tokenId, '1')]
+        : [toTransfer(log, 'erc20', args.from, args.to, null, args.value)];
+    case 'TransferSingle':
+      return [toTransfer(log, 'erc1155', args.from, args.to, args.id, args.value)];
+    case 'TransferBatch':
+      return args.ids.map((id, i) => toTransfer(log, 'erc1155', args.from, args.to, id, args.values[i]));
+    case 'Deposit':
+      return [toTransfer(log, 'weth', ZERO_ADDRESS, args.dst, null, args.wad)];
+    case 'Withdrawal':
+      return [toTransfer(log, 'weth', args.src, ZERO_ADDRESS, null, args.wad)];
+    default:
+      return [];
+  }
+}
+
+function toTransfer(log, standard, from, to, tokenId, amount) {
+  return {
+    token: typeof log.address === 'string' ? log.address.toLowerCase() : log.address,
+    standard,
+    from,
+    to,
+    tokenId,
+    amount,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash
+  };
+}
+
+// Net balance change of every address per transaction, token and tokenId, as
+// [{ transactionHash, address, token, tokenId, delta }] with signed decimal
+// string deltas; movements that cancel out are omitted
+function getBalanceDeltas(transfers) {
+  const deltas = new Map();
+
+  const add = (transfer, address, amount) => {
+    const key = [transfer.transactionHash, address, transfer.token, transfer.tokenId].join('|');
+    if (!deltas.has(key)) {
+      deltas.set(key, {
+        transactionHash: transfer.transactionHash,
+        address,
+        token: transfer.token,
+        tokenId: transfer.tokenId,
+        delta: 0n
+      });
+    }
+    deltas.get(key).delta += amount;
+  };
+
+  for (const transfer of transfers) {
+    const amount = BigInt(transfer.amount);
+    add(transfer, transfer.from, -amount);
+    add(transfer, transfer.to, amount);
+  }
+
+  return [...deltas.values()]
+    .filter(entry => entry.delta !== 0n)
+    .map(entry => ({ ...entry, delta: entry.delta.toString() }));
+}
+
+module.exports = {
+  extractTransfers
+};
@@ -1,11 +1,24 @@
 const { keccak256, toUtf8Bytes } = require('ethers');
+const { InvalidValueError, InvalidSignatureError, UnsupportedTypeError } = require('./errors');
+const { parseSignature } = require('./fragment');
 
-// Parse and normalize ABI
+// Parse and normalize ABI: JSON arrays, JSON strings, or human-readable
+// signatures ("function transfer(address to, uint256 amount) returns (bool)")
+// given as an array or as newline-separated text
 function parseABI(abi) {
   if (typeof abi === 'string') {
-    return JSON.parse(abi);
+    const text = abi.trim();
+    if (text.startsWith('[') || text.startsWith('{')) {
+      // A single JSON fragment is an ABI of one
+      const parsed = JSON.parse(text);
+      return parseABI(Array.isArray(parsed) ? parsed : [parsed]);
+    }
+    return parseABI(text.split('\n').map(line => line.trim()).filter(Boolean));
+  }
+  if (!Array.isArray(abi)) {
+    throw new InvalidValueError('ABI must be an array, a JSON string or signature strings');
   }
-  return abi;
+  return abi.map(item => (typeof item === 'string' ? parseSignature(item) : item));
 }
 
 // Get function selector (first 4 bytes of keccak256 hash)
@@ -33,34 +46,156 @@ function getEventSignature(event) {
   return `${event.name}(${inputs})`;
 }
 
-// Get canonical type string for ABI encoding
+// Get canonical type string for ABI encoding. Tuples expand recursively into
+// their component types, e.g. "(address,uint256)[]" for a tuple[] of structs.
 function getCanonicalType(param) {
-  let type = param.type;
-  
-  // Handle arrays
-  if (param.type.includes('[')) {
-    const baseType = param.type.split('[')[0];
-    const arrayPart = param.type.substring(baseType.length);
-    return getBaseCanonicalType(baseType) + arrayPart;
+  const type = param.type;
+  const bracketIndex = type.indexOf('[');
+  const baseType = bracketIndex === -1 ? type : type.slice(0, bracketIndex);
+  const arrayPart = bracketIndex === -1 ? '' : type.slice(bracketIndex);
+
+  // Handle tuple types (structs)
+  if (baseType === 'tuple') {
+    // Without components the tuple would silently become "()"
+    if (!Array.isArray(param.components)) {
+      throw new InvalidSignatureError(`Tuple ${param.name ? `${param.name} ` : ''}has no components`, { path: param.name });
+    }
+    return `(${param.components.map(getCanonicalType).join(',')})${arrayPart}`;
   }
-  
-  return getBaseCanonicalType(type);
+
+  // Tuple type strings such as "tuple(uint256,bool)[]"
+  const tupleType = parseTupleType(type);
+  if (tupleType.components) {
+    return getCanonicalType(tupleType);
+  }
+
+  return getBaseCanonicalType(baseType) + arrayPart;
 }
 
 function getBaseCanonicalType(type) {
-  // Handle tuple types (structs)
-  if (type === 'tuple') {
-    return 'tuple';
-  }
-  
   // Normalize integer types
   if (type === 'uint') return 'uint256';
   if (type === 'int') return 'int256';
-  if (type === 'bytes' && !type.includes('bytes')) return 'bytes';
   
   return type;
 }
 
+// Split a tuple component list such as "uint256 amount,(address,bool)[] items"
+// into ABI component objects. Nested tuples are expanded into `components`.
+function parseTupleComponents(componentStr) {
+  const components = [];
+  let depth = 0;
+  let current = '';
+
+  const pushComponent = () => {
+    const trimmed = current.trim();
+    current = '';
+    if (!trimmed) return;
+
+    // The name (if any) follows the last top-level space
+    let typePart = trimmed;
+    let name = '';
+    const closeIndex = trimmed.lastIndexOf(')');
+    const nameMatch = trimmed.slice(closeIndex + 1).match(/^(\S*)\s+(\w+)$/);
+    if (nameMatch) {
+      typePart = trimmed.slice(0, closeIndex + 1) + nameMatch[1];
+      name = nameMatch[2];
+    }
+
+    components.push({ ...parseTupleType(typePart.trim()), name: name || `field${components.length}` });
+  };
+
+  for (let i = 0; i < componentStr.length; i++) {
+    const char = componentStr[i];
+
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+
+    if (char === ',' && depth === 0) {
+      pushComponent();
+    } else {
+      current += char;
+    }
+  }
+  pushComponent();
+
+  return components;
+}
+
+// Expand "(T1,T2)[]" or "tuple(T1,T2)[]" into { type: 'tuple[]', components }
+function parseTupleType(typeStr) {
+  const match = typeStr.match(/^(?:tuple)?\((.*)\)((?:\[\d*\])*)$/);
+  if (!match) {
+    return { type: typeStr };
+  }
+  return { type: 'tuple' + match[2], components: parseTupleComponents(match[1]) };
+}
+
+// Split the outermost array dimension off a type string, reading from the
+// rightmost bracket: "uint256[2][]" -> { baseType: 'uint256[2]', length: null }.
+// Returns null for non-array types.
+function parseArrayType(typeStr) {
+  const match = typeStr.match(/^(.*)\[(\d*)\]$/);
+  if (!match) return null;
+  return {
+    baseType: match[1],
+    length: match[2] === '' ? null : parseInt(match[2], 10)
+  };
+}
+
+// Tuple components from an ABI object or a "tuple(...)" type string
+function getTupleComponents(type) {
+  if (typeof type === 'object' && Array.isArray(type.components)) {
+    return type.components;
+  }
+
+  const typeStr = typeof type === 'object' ? type.type : type;
+  const match = typeof typeStr === 'string' && typeStr.match(/^tuple\((.*)\)$/);
+  if (!match) {
+    throw new UnsupportedTypeError(`Invalid tuple type: ${JSON.stringify(type)}`);
+  }
+  return parseTupleComponents(match[1]);
+}
+
+// Whether a type (type string or ABI param) is encoded in the tail behind an offset
+function isDynamicType(type) {
+  const typeStr = typeof type === 'object' && type.type ? type.type : type;
+
+  if (typeStr === 'string' || typeStr === 'bytes') return true;
+
+  const array = parseArrayType(typeStr);
+  if (array) {
+    // T[] is always dynamic; T[k] is dynamic only if T is
+    return array.length === null || isDynamicType(typeof type === 'object' ? { ...type, type: array.baseType } : array.baseType);
+  }
+
+  if (typeStr.startsWith('tuple')) {
+    // A tuple is dynamic only if one of its components is
+    return getTupleComponents(type).some(isDynamicType);
+  }
+  return false;
+}
+
+// Size of a sized elementary type: bits for uintN/intN (bare uint/int are 256),
+// bytes for bytesN. Returns null for invalid sizes such as uint7 or bytes33.
+function getTypeSize(typeStr) {
+  const match = typeStr.match(/^(u?int|bytes)(\d*)$/);
+  if (!match) return null;
+  if (match[1] === 'bytes') {
+    const size = parseInt(match[2], 10);
+    return size >= 1 && size <= 32 ? size : null;
+  }
+  const bits = match[2] === '' ? 256 : parseInt(match[2], 10);
+  return bits >= 8 && bits <= 256 && bits % 8 === 0 ? bits : null;
+}
+
+// Build a parameter path for error reporting: joinPath('order', 'items') -> "order.items",
+// joinPath('order.items', 3) -> "order.items[3]"
+function joinPath(parent, key) {
+  if (typeof key === 'number') return `${parent || ''}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
 // Fast hex string utilities
 function hexToBuffer(hex) {
   if (hex.startsWith('0x')) hex = hex.slice(2);
@@ -101,7 +236,26 @@ function toBigInt(value) {
   if (typeof value === 'number') {
     return BigInt(value);
   }
-  throw new Error(`Cannot convert to BigInt: ${value}`);
+  throw new InvalidValueError(`Cannot convert to BigInt: ${value}`);
+}
+
+// EIP-55 mixed-case checksum of a 0x-prefixed 20-byte address
+function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(toUtf8Bytes(lower));
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i + 2], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+// All-lowercase and all-uppercase addresses carry no checksum; mixed case
+// must match EIP-55
+function hasValidChecksum(address) {
+  const hex = address.slice(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) return true;
+  return toChecksumAddress(address) === '0x' + hex;
 }
 
 module.exports = {
@@ -111,10 +265,18 @@ module.exports = {
   getFunctionSignature,
   getEventSignature,
   getCanonicalType,
+  parseTupleComponents,
+  parseArrayType,
+  getTupleComponents,
+  isDynamicType,
+  getTypeSize,
+  joinPath,
   hexToBuffer,
   bufferToHex,
   padLeft,
   padRight,
   isHex,
-  toBigInt
+  toBigInt,
+  toChecksumAddress,
+  hasValidChecksum
 };
@@ -130,12 +130,8 @@ const knownTopics = codec.getKnownEventTopics();
 console.log('This codec can decode events with these topics:');
 knownTopics.forEach(topic => {
   // Find event name for this topic
-  for (const [key, event] of codec.events.entries()) {
-    if (key === topic) {
-      console.log(`  ${topic} (${codec.events.get(event.name || 'Unknown').name})`);
-      break;
-    }
-  }
+  const event = codec.events.get(topic);
+  console.log(`  ${topic} (${event ? event.name : 'Unknown'})`);
 });
 
 // Example 5: Real-world usage pattern
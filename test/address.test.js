@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { getAddress, Interface } = require('ethers');
+const { ABICodec, InvalidValueError } = require('../index');
+const Decoder = require('../lib/decoder');
+const { toChecksumAddress, hasValidChecksum } = require('../lib/utils');
+
+const erc20ABI = [
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+];
+
+const lower = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const checksummed = '0x742D35Cc6634c0532925a3b8D8E9EeD89b7A6dE6';
+const upper = '0x742D35CC6634C0532925A3B8D8E9EED89B7A6DE6';
+const mistyped = '0x742D35Cc6634c0532925a3b8D8E9EeD89b7A6de6';
+const vault = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+
+function runAddressTests() {
+  console.log('🚀 Starting Checksum Address Tests...\n');
+
+  try {
+    // Test 1: EIP-55 checksums match ethers
+    console.log('Test 1: Checksum Computation');
+    const samples = [
+      lower,
+      '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+      '0x5aaeb6053f3e94c9b9a09f33669435e7ef1beaed',
+      '0x0000000000000000000000000000000000000000'
+    ];
+    for (const address of samples) {
+      assert.strictEqual(toChecksumAddress(address), getAddress(address));
+      assert.strictEqual(toChecksumAddress(address.toUpperCase().replace('0X', '0x')), getAddress(address));
+    }
+    assert.ok(hasValidChecksum(checksummed) && hasValidChecksum(lower) && hasValidChecksum(upper));
+    assert.ok(!hasValidChecksum(mistyped));
+    console.log('✅ Checksums computed\n');
+
+    // Test 2: Encoding validates mixed-case checksums
+    console.log('Test 2: Checksum Validation on Encode');
+    const codec = new ABICodec(erc20ABI);
+    const expected = new Interface(erc20ABI).encodeFunctionData('transfer', [lower, 1]);
+    for (const address of [lower, checksummed, upper]) {
+      assert.strictEqual(codec.encodeFunction('transfer', [address, 1]), expected);
+    }
+    assert.throws(
+      () => codec.encodeFunction('transfer', [mistyped, 1]),
+      (error) => error instanceof InvalidValueError && error.path === 'to' && /Invalid address checksum/.test(error.message)
+    );
+    assert.throws(() => codec.encodeEventTopics('Transfer', [mistyped]), /Invalid address checksum/);
+    assert.throws(() => codec.buildLogFilter('Transfer', [], { address: mistyped }), /Invalid filter address checksum/);
+    console.log('✅ Mistyped checksums rejected\n');
+
+    // Test 3: Checksummed decode output
+    console.log('Test 3: Checksummed Decoding');
+    const checksumCodec = new ABICodec(erc20ABI, { checksumAddresses: true });
+    assert.deepStrictEqual(checksumCodec.decodeFunction('transfer', expected), [checksummed, '1']);
+    const log = codec.encodeLog('Transfer', [lower, vault, 5]);
+    assert.deepStrictEqual(checksumCodec.decodeLog(log.data, log.topics).args, {
+      from: checksummed,
+      to: getAddress(vault),
+      value: '5'
+    });
+    assert.deepStrictEqual(codec.decodeFunction('transfer', expected), [lower, '1']);
+    assert.deepStrictEqual(new Decoder({ checksumAddresses: true }).decodeParameters(['address'], '0x' + expected.slice(10, 74)), [checksummed]);
+    assert.strictEqual(new ABICodec(erc20ABI, { format: 'bigint', checksumAddresses: true }).decodeFunction('transfer', expected)[1], 1n);
+    console.log('✅ Addresses decoded with checksums\n');
+
+    // Test 4: Name resolver hook
+    console.log('Test 4: Name Resolution');
+    const names = new Map([['alice.eth', checksummed], ['vault.eth', vault]]);
+    const resolving = new ABICodec(erc20ABI, { resolveName: name => names.get(name) });
+    assert.strictEqual(resolving.encodeFunction('transfer', ['alice.eth', 1]), expected);
+    assert.strictEqual(
+      resolving.encodeFunction('transferFrom', ['alice.eth', 'vault.eth', 1]),
+      codec.encodeFunction('transferFrom', [lower, vault, 1])
+    );
+    assert.deepStrictEqual(resolving.encodeEventTopics('Transfer', ['alice.eth']), codec.encodeEventTopics('Transfer', [lower]));
+    assert.throws(
+      () => resolving.encodeFunction('transfer', ['bob.eth', 1]),
+      (error) => error instanceof InvalidValueError && error.path === 'to' && /Cannot resolve name: bob.eth/.test(error.message)
+    );
+    // Resolved addresses are validated like any other
+    const broken = new ABICodec(erc20ABI, { resolveName: () => mistyped });
+    assert.throws(() => broken.encodeFunction('transfer', ['alice.eth', 1]), /Invalid address checksum/);
+    assert.throws(() => codec.encodeFunction('transfer', ['alice.eth', 1]), /Invalid address: alice.eth/);
+    console.log('✅ Names resolved\n');
+
+    console.log('🎉 All checksum address tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runAddressTests();
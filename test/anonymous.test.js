@@ -0,0 +1,110 @@
+const assert = require('assert');
+const { Interface, zeroPadValue } = require('ethers');
+const { ABICodec, AmbiguousOverloadError, UnknownFragmentError } = require('../index');
+
+// DSNote-style anonymous event (DSProxy, Maker) next to a regular ERC20 Transfer
+const noteABI = [
+  {
+    "type": "event",
+    "name": "LogNote",
+    "anonymous": true,
+    "inputs": [
+      {"name": "sig", "type": "bytes4", "indexed": true},
+      {"name": "guy", "type": "address", "indexed": true},
+      {"name": "foo", "type": "bytes32", "indexed": true},
+      {"name": "bar", "type": "bytes32", "indexed": true},
+      {"name": "wad", "type": "uint256", "indexed": false},
+      {"name": "fax", "type": "bytes", "indexed": false}
+    ]
+  },
+  {
+    "type": "event",
+    "name": "Transfer",
+    "inputs": [
+      {"name": "from", "type": "address", "indexed": true},
+      {"name": "to", "type": "address", "indexed": true},
+      {"name": "value", "type": "uint256", "indexed": false}
+    ]
+  }
+];
+
+const guy = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const other = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const foo = zeroPadValue('0x01', 32);
+const bar = zeroPadValue('0x02', 32);
+
+function runAnonymousTests() {
+  console.log('🚀 Starting Anonymous Event Tests...\n');
+
+  try {
+    const codec = new ABICodec(noteABI);
+    const iface = new Interface(noteABI);
+    const note = iface.encodeEventLog('LogNote', ['0x1cff79cd', guy, foo, bar, 10n, '0x1cff79cd']);
+    const transfer = iface.encodeEventLog('Transfer', [guy, other, 5n]);
+
+    // Test 1: Indexed params start at topics[0]
+    console.log('Test 1: Anonymous Event Decoding');
+    assert.strictEqual(note.topics.length, 4);
+    const expected = {
+      name: 'LogNote',
+      args: { sig: '0x1cff79cd', guy, foo, bar, wad: '10', fax: '0x1cff79cd' }
+    };
+    assert.deepStrictEqual(codec.decodeLog(note.data, note.topics, 'LogNote'), expected);
+    assert.deepStrictEqual(new ABICodec(noteABI, { strict: true }).decodeLog(note.data, note.topics, 'LogNote'), expected);
+    console.log('✅ Anonymous event decoded\n');
+
+    // Test 2: Matching without a name
+    console.log('Test 2: Anonymous Event Matching');
+    assert.deepStrictEqual(codec.decodeLog(note.data, note.topics), expected);
+    assert.strictEqual(codec.decodeLog(transfer.data, transfer.topics).name, 'Transfer');
+    assert.ok(!codec.getKnownEventTopics().includes(codec.getEventSelector('LogNote')));
+    // Wrong topic count or data shape matches nothing
+    assert.throws(() => codec.decodeLog(note.data, note.topics.slice(1)), UnknownFragmentError);
+    assert.throws(() => codec.decodeLog('0x' + '00'.repeat(32), note.topics), UnknownFragmentError);
+    console.log('✅ Anonymous events matched by shape\n');
+
+    // Test 3: Receipt decoding
+    console.log('Test 3: Receipt Decoding');
+    const receipt = {
+      logs: [
+        { address: guy, topics: note.topics, data: note.data },
+        { address: other, topics: transfer.topics, data: transfer.data },
+        { address: other, topics: [foo], data: '0x' }
+      ]
+    };
+    const decoded = codec.decodeReceiptLogs(receipt);
+    assert.deepStrictEqual(decoded.map(log => log.name), ['LogNote', 'Transfer']);
+    assert.deepStrictEqual(decoded[0].args, expected.args);
+    console.log('✅ Anonymous logs decoded from receipts\n');
+
+    // Test 4: Ambiguous candidates
+    console.log('Test 4: Ambiguous Anonymous Events');
+    const ambiguous = new ABICodec([
+      'event Approved(address indexed owner, address indexed spender) anonymous',
+      'event Minted(address indexed to, uint256 indexed id) anonymous'
+    ]);
+    const topics = [zeroPadValue(guy, 32), zeroPadValue(other, 32)];
+    assert.throws(() => ambiguous.decodeLog('0x', topics), (error) => {
+      return error instanceof AmbiguousOverloadError &&
+        error.candidates.join() === 'Approved(address,address),Minted(address,uint256)';
+    });
+    // A value that is not a valid address rules out Approved
+    const tokenId = '0x' + 'ff'.repeat(32);
+    assert.deepStrictEqual(ambiguous.decodeLog('0x', [topics[0], tokenId]), {
+      name: 'Minted',
+      args: { to: guy, id: BigInt(tokenId).toString() }
+    });
+    assert.deepStrictEqual(ambiguous.decodeReceiptLogs({ logs: [{ topics, data: '0x' }] }), []);
+    console.log('✅ Ambiguity reported\n');
+
+    console.log('🎉 All anonymous event tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runAnonymousTests();
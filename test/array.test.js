@@ -0,0 +1,87 @@
+const assert = require('assert');
+const { AbiCoder } = require('ethers');
+const Encoder = require('../lib/encoder');
+const Decoder = require('../lib/decoder');
+const { getTupleComponents, isDynamicType } = require('../lib/utils');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de7';
+
+// [types, values] pairs checked byte-for-byte against ethers
+const vectors = [
+  [['uint256[][]'], [[[1, 2, 3], [], [4]]]],
+  [['address[2][]'], [[[alice, bob], [bob, alice]]]],
+  [['string[][3]'], [[['a', 'bc'], [], ['longer string that spans more than one word of data']]]],
+  [['bytes[][]'], [[['0x01', '0x0203'], ['0x']]]],
+  [['uint256[2][]'], [[[1, 2], [3, 4], [5, 6]]]],
+  [['uint256[2][3]'], [[[1, 2], [3, 4], [5, 6]]]],
+  [['string[2]', 'uint8'], [['x', 'y'], 7]],
+  [['bool[][2][]'], [[[[true], [false, true]], [[], [true]]]]],
+  [['uint256', 'bytes[][]', 'address'], [42, [['0xdead'], [], ['0xbeef', '0x']], alice]]
+];
+
+function runArrayTests() {
+  console.log('🚀 Starting Nested Array Encoding Tests...\n');
+
+  try {
+    const encoder = new Encoder();
+
+    // Test 1: Multidimensional arrays match ethers
+    console.log('Test 1: Multidimensional Array Encoding');
+    for (const [types, values] of vectors) {
+      const encoded = encoder.encodeParameters(types, values);
+      assert.strictEqual(encoded, abiCoder.encode(types, values), `Mismatch for ${types.join(',')}`);
+      console.log(`  ${types.join(',')}: ${(encoded.length - 2) / 2} bytes`);
+    }
+    console.log('✅ Nested arrays match ethers\n');
+
+    // Test 2: Static/dynamic classification
+    console.log('Test 2: Dynamic Type Classification');
+    assert.strictEqual(encoder.isDynamicType('uint256[2][3]'), false);
+    assert.strictEqual(encoder.isDynamicType('uint256[2][]'), true);
+    assert.strictEqual(encoder.isDynamicType('uint256[][2]'), true);
+    assert.strictEqual(encoder.isDynamicType('string[2]'), true);
+    assert.strictEqual(encoder.isDynamicType('tuple(uint256,bool)[2]'), false);
+    assert.strictEqual(encoder.isDynamicType('tuple(uint256,bytes)[2]'), true);
+    // Encoder and Decoder share one implementation
+    assert.strictEqual(new Decoder().isDynamicType({ type: 'tuple[2]', components: [{ type: 'string' }] }), true);
+    assert.strictEqual(isDynamicType('tuple()'), false);
+    assert.deepStrictEqual(getTupleComponents('tuple()'), []);
+    assert.throws(() => getTupleComponents('tuple'), /Invalid tuple type/);
+    console.log('✅ Dynamic classification correct\n');
+
+    // Test 3: Tuple arrays inside arrays
+    console.log('Test 3: Nested Tuple Arrays');
+    const param = {
+      "name": "batches",
+      "type": "tuple[][]",
+      "components": [
+        {"name": "to", "type": "address"},
+        {"name": "data", "type": "bytes"}
+      ]
+    };
+    const batches = [[{ to: alice, data: '0x01' }], [{ to: bob, data: '0x' }, { to: alice, data: '0xff' }]];
+    assert.strictEqual(
+      encoder.encodeParameters([param], [batches]),
+      abiCoder.encode(['tuple(address,bytes)[][]'], [batches.map(batch => batch.map(call => [call.to, call.data]))])
+    );
+    console.log('✅ Nested tuple arrays match ethers\n');
+
+    // Test 4: Fixed dimension length is validated at every level
+    console.log('Test 4: Fixed Length Validation');
+    assert.throws(() => encoder.encodeParameters(['uint256[2][]'], [[[1, 2], [3]]]), /expected 2, got 1/);
+    console.log('✅ Length mismatch rejected\n');
+
+    console.log('🎉 All array tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runArrayTests();
@@ -43,7 +43,7 @@ function runTests() {
     // Test 1: Function encoding
     console.log('Test 1: Function Encoding');
     const transferData = codec.encodeFunction('transfer', [
-      '0x742d35Cc6634C0532925a3b8D8e9eED89B7A6de6',
+      '0x742D35Cc6634c0532925a3b8D8E9EeD89b7A6dE6',
       BigInt('1000000000000000000') // 1 ETH in wei
     ]);
     console.log('Transfer calldata:', transferData);
@@ -82,7 +82,7 @@ function runTests() {
     
     for (let i = 0; i < iterations; i++) {
       codec.encodeFunction('transfer', [
-        '0x742d35Cc6634C0532925a3b8D8e9eED89B7A6de6',
+        '0x742D35Cc6634c0532925a3b8D8E9EeD89b7A6dE6',
         BigInt(i)
       ]);
     }
@@ -0,0 +1,178 @@
+const assert = require('assert');
+const { AbiCoder, ParamType } = require('ethers');
+const Encoder = require('../lib/encoder');
+const Decoder = require('../lib/decoder');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Deterministic PRNG so failures are reproducible (mulberry32)
+function createRandom(seed) {
+  return function random() {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const random = createRandom(0xabc0de);
+const randomInt = (max) => Math.floor(random() * max);
+const pick = (items) => items[randomInt(items.length)];
+
+function randomBytes(length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) bytes[i] = randomInt(256);
+  return bytes;
+}
+
+// Random ABI parameter tree (elementary types, arrays and tuples)
+function randomParam(name, depth) {
+  const roll = random();
+
+  if (depth > 0 && roll < 0.2) {
+    const components = [];
+    const count = 1 + randomInt(4);
+    for (let i = 0; i < count; i++) components.push(randomParam(`f${i}`, depth - 1));
+    return { name, type: 'tuple', components };
+  }
+
+  if (depth > 0 && roll < 0.4) {
+    const element = randomParam(name, depth - 1);
+    const suffix = random() < 0.5 ? '[]' : `[${1 + randomInt(3)}]`;
+    return { ...element, type: element.type + suffix };
+  }
+
+  const type = pick([
+    'uint256', 'uint8', 'uint64', 'uint160', 'int256', 'int8', 'int32', 'int128',
+    'address', 'bool', 'bytes1', 'bytes4', 'bytes20', 'bytes32', 'bytes', 'string'
+  ]);
+  return { name, type };
+}
+
+// Random value for a parameter, returned as [ethersInput, expectedDecoded]
+function randomValue(param) {
+  const match = param.type.match(/^(.*)\[(\d*)\]$/);
+  if (match) {
+    const length = match[2] === '' ? randomInt(4) : parseInt(match[2], 10);
+    const element = { ...param, type: match[1] };
+    const pairs = Array.from({ length }, () => randomValue(element));
+    return [pairs.map(p => p[0]), pairs.map(p => p[1])];
+  }
+
+  if (param.type === 'tuple') {
+    const pairs = param.components.map(randomValue);
+    const expected = {};
+    param.components.forEach((component, i) => { expected[component.name] = pairs[i][1]; });
+    return [pairs.map(p => p[0]), expected];
+  }
+
+  if (param.type.startsWith('uint')) {
+    const bits = parseInt(param.type.slice(4), 10);
+    const value = BigInt('0x' + (randomBytes(bits / 8).toString('hex') || '0'));
+    return [value, value.toString()];
+  }
+
+  if (param.type.startsWith('int')) {
+    const bits = BigInt(parseInt(param.type.slice(3), 10));
+    const unsigned = BigInt('0x' + randomBytes(Number(bits) / 8).toString('hex'));
+    const value = unsigned >= (1n << (bits - 1n)) ? unsigned - (1n << bits) : unsigned;
+    return [value, value.toString()];
+  }
+
+  switch (param.type) {
+    case 'address': {
+      const value = '0x' + randomBytes(20).toString('hex');
+      return [value, value];
+    }
+    case 'bool': {
+      const value = random() < 0.5;
+      return [value, value];
+    }
+    case 'bytes': {
+      const value = '0x' + randomBytes(randomInt(70)).toString('hex');
+      return [value, value];
+    }
+    case 'string': {
+      const alphabet = 'abcXYZ 019_-é€';
+      const value = Array.from({ length: randomInt(45) }, () => pick(alphabet)).join('');
+      return [value, value];
+    }
+    default: {
+      // bytesN
+      const value = '0x' + randomBytes(parseInt(param.type.slice(5), 10)).toString('hex');
+      return [value, value];
+    }
+  }
+}
+
+function runConformanceTests() {
+  console.log('🚀 Starting Decoder Conformance Tests...\n');
+
+  try {
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const strictDecoder = new Decoder({ strict: true });
+
+    // Test 1: Random type trees decode ethers output and re-encode identically
+    console.log('Test 1: Random Type Trees vs ethers AbiCoder');
+    const iterations = 400;
+
+    for (let i = 0; i < iterations; i++) {
+      const params = Array.from({ length: 1 + randomInt(4) }, (_, j) => randomParam(`p${j}`, 3));
+      const pairs = params.map(randomValue);
+      const signature = params.map(p => ParamType.from(p).format()).join(',');
+
+      const data = abiCoder.encode(params.map(p => ParamType.from(p)), pairs.map(p => p[0]));
+
+      const decoded = decoder.decodeParameters(params, data);
+      assert.deepStrictEqual(decoded, pairs.map(p => p[1]), `Decode mismatch #${i} for (${signature})`);
+      assert.deepStrictEqual(strictDecoder.decodeParameters(params, data), decoded, `Strict mismatch #${i} for (${signature})`);
+
+      const encoded = encoder.encodeParameters(params, pairs.map(p => p[0]));
+      assert.strictEqual(encoded, data, `Encode mismatch #${i} for (${signature})`);
+    }
+    console.log(`✅ ${iterations} random type trees conform\n`);
+
+    // Test 2: Known nested layouts
+    console.log('Test 2: Nested Dynamic Layouts');
+    const tupleArray = {
+      "name": "orders",
+      "type": "tuple[]",
+      "components": [
+        {"name": "id", "type": "uint256"},
+        {"name": "tags", "type": "string[]"}
+      ]
+    };
+    const data = abiCoder.encode(['tuple(uint256,string[])[]', 'string[][]'], [
+      [[1, ['a', 'b']], [2, []]],
+      [['x'], [], ['y', 'z']]
+    ]);
+    const [orders, nested] = decoder.decodeParameters([tupleArray, 'string[][]'], data);
+    assert.deepStrictEqual(orders, [{ id: '1', tags: ['a', 'b'] }, { id: '2', tags: [] }]);
+    assert.deepStrictEqual(nested, [['x'], [], ['y', 'z']]);
+    console.log('✅ tuple[] and string[][] decoded\n');
+
+    // Test 3: Negative small integers
+    console.log('Test 3: Sign-extended Integers');
+    const [negative] = decoder.decodeParameters(['int8'], abiCoder.encode(['int8'], [-1]));
+    assert.strictEqual(negative, '-1');
+    console.log('✅ Sign-extended integers decoded\n');
+
+    // Test 4: Oversized lengths are rejected instead of allocating
+    console.log('Test 4: Out-of-bounds Lengths');
+    const bogus = '0x' + (32).toString(16).padStart(64, '0') + 'f'.repeat(64);
+    assert.throws(() => decoder.decodeParameters(['uint256[]'], bogus), /out of bounds/);
+    console.log('✅ Oversized length rejected\n');
+
+    console.log('🎉 All conformance tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runConformanceTests();
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const { ABICodec } = require('../index');
+
+const tokenABI = ['event Transfer(address indexed from, address indexed to, uint256 value)'];
+
+const token = '0xa0b86a33e6417c8c2b60c9b6d2b1f1d3f4e5f6a7';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const txHash = '0x' + '12'.repeat(32);
+const blockHash = '0x' + 'ab'.repeat(32);
+
+function runContextTests() {
+  console.log('🚀 Starting Receipt Context Tests...\n');
+
+  try {
+    const codec = new ABICodec(tokenABI);
+    const transfer = codec.encodeLog('Transfer', [alice, bob, 5]);
+
+    // eth_getTransactionReceipt output: hex quantities, log fields partly missing
+    const rpcReceipt = {
+      transactionHash: txHash,
+      transactionIndex: '0x32',
+      blockHash,
+      blockNumber: '0x11a49a0',
+      from: alice,
+      to: token,
+      status: '0x1',
+      gasUsed: '0xfde8',
+      effectiveGasPrice: '0x2540be400',
+      logs: [
+        { address: token, ...transfer, logIndex: '0x1a', blockNumber: '0x11a49a0', transactionIndex: '0x32', removed: false },
+        { address: token, ...transfer, logIndex: '0x1b' },
+        { address: bob, topics: ['0x' + '11'.repeat(32)], data: '0x', logIndex: '0x1c' }
+      ]
+    };
+
+    // Test 1: Real logIndex kept and normalized
+    console.log('Test 1: Log Index');
+    const decoded = codec.decodeReceiptLogs(rpcReceipt);
+    assert.deepStrictEqual(decoded.map(log => log.logIndex), [26, 27]);
+    console.log('✅ Node-provided logIndex preserved\n');
+
+    // Test 2: Receipt context inherited and normalized
+    console.log('Test 2: Receipt Context');
+    assert.deepStrictEqual(decoded[1], {
+      name: 'Transfer',
+      args: { from: alice, to: bob, value: '5' },
+      logIndex: 27,
+      address: token,
+      blockHash,
+      blockNumber: 18500000,
+      transactionHash: txHash,
+      transactionIndex: 50,
+      removed: undefined,
+      status: 1,
+      from: alice,
+      to: token,
+      gasUsed: 65000,
+      effectiveGasPrice: '10000000000'
+    });
+    assert.strictEqual(decoded[0].removed, false);
+    const report = codec.decodeReceiptLogs(rpcReceipt, { detailed: true });
+    assert.strictEqual(report.unknown[0].logIndex, 28);
+    assert.strictEqual(report.unknown[0].transactionHash, txHash);
+    console.log('✅ Receipt context inherited\n');
+
+    // Test 3: Numeric input and missing fields
+    console.log('Test 3: Numeric Input');
+    const built = codec.buildReceipt([{ address: token, ...transfer }], { blockNumber: 18500000, logIndex: 7, status: 0 });
+    const [fromBuilt] = codec.decodeReceiptLogs(built);
+    assert.strictEqual(fromBuilt.logIndex, 7);
+    assert.strictEqual(fromBuilt.blockNumber, 18500000);
+    assert.strictEqual(fromBuilt.status, 0);
+    assert.ok(!('gasUsed' in fromBuilt));
+    // Without logIndex the position in the receipt is used
+    const [bare] = codec.decodeReceiptLogs({ logs: [{ topics: ['0x' + '22'.repeat(32)], data: '0x' }, { ...transfer }] });
+    assert.strictEqual(bare.logIndex, 1);
+    assert.strictEqual(bare.blockNumber, undefined);
+    console.log('✅ Numeric and missing fields handled\n');
+
+    // Test 4: Multiple receipts keep their own context
+    console.log('Test 4: Multiple Receipts');
+    const other = { ...rpcReceipt, transactionHash: '0x' + '34'.repeat(32), logs: [{ address: token, ...transfer, logIndex: '0x0' }] };
+    const all = codec.decodeMultipleReceipts([rpcReceipt, other]);
+    assert.deepStrictEqual(all.map(log => [log.transactionHash.slice(0, 4), log.logIndex]), [['0x12', 26], ['0x12', 27], ['0x34', 0]]);
+    console.log('✅ Context kept per receipt\n');
+
+    console.log('🎉 All receipt context tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runContextTests();
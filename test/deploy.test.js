@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { Interface } = require('ethers');
+const { ABICodec, DecodingError, InvalidValueError } = require('../index');
+
+const tokenABI = [
+  {
+    "type": "constructor",
+    "inputs": [
+      {"name": "name_", "type": "string"},
+      {"name": "symbol_", "type": "string"},
+      {"name": "owner_", "type": "address"},
+      {
+        "name": "allocations",
+        "type": "tuple[]",
+        "components": [
+          {"name": "holder", "type": "address"},
+          {"name": "amount", "type": "uint256"}
+        ]
+      }
+    ],
+    "stateMutability": "payable"
+  },
+  {
+    "type": "function",
+    "name": "name",
+    "inputs": [],
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view"
+  }
+];
+
+// Minimal creation code (returns an empty runtime); real bytecode works the same way
+const bytecode = '0x6080604052348015600f57600080fd5b50603f80601d6000396000f3fe6080604052600080fdfea164736f6c6343000814000a';
+
+const owner = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const holder = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+function runDeployTests() {
+  console.log('🚀 Starting Deployment Encoding Tests...\n');
+
+  try {
+    const codec = new ABICodec(tokenABI);
+    const iface = new Interface(tokenABI);
+    const args = ['Token', 'TKN', owner, [{ holder, amount: 1000n }, { holder: owner, amount: 5 }]];
+
+    // Test 1: Deployment data matches ethers
+    console.log('Test 1: Deployment Encoding');
+    const initCode = codec.encodeDeploy(bytecode, args);
+    const expected = bytecode + iface.encodeDeploy(['Token', 'TKN', owner, [[holder, 1000n], [owner, 5]]]).slice(2);
+    assert.strictEqual(initCode, expected);
+    assert.strictEqual(codec.encodeDeploy(Buffer.from(bytecode.slice(2), 'hex'), args), expected);
+    console.log('✅ Deployment data encoded\n');
+
+    // Test 2: Constructor arguments recovered from creation input
+    console.log('Test 2: Constructor Argument Decoding');
+    const decoded = codec.decodeDeployArgs(initCode, bytecode);
+    assert.deepStrictEqual(decoded, [
+      'Token',
+      'TKN',
+      owner,
+      [{ holder, amount: '1000' }, { holder: owner, amount: '5' }]
+    ]);
+    assert.deepStrictEqual(codec.decodeDeployArgs(initCode.toUpperCase().replace('0X', '0x'), bytecode), decoded);
+    console.log('Decoded constructor args:', decoded);
+    console.log('✅ Constructor arguments decoded\n');
+
+    // Test 3: Contracts without a constructor entry
+    console.log('Test 3: Missing Constructor');
+    const plain = new ABICodec(tokenABI.slice(1));
+    assert.strictEqual(plain.encodeDeploy(bytecode), bytecode);
+    assert.deepStrictEqual(plain.decodeDeployArgs(bytecode, bytecode), []);
+    console.log('✅ Argument-less deployments handled\n');
+
+    // Test 4: Human-readable constructor
+    console.log('Test 4: Human-readable Constructor');
+    const human = new ABICodec(['constructor(string name_, string symbol_, address owner_, (address holder, uint256 amount)[] allocations) payable']);
+    assert.strictEqual(human.encodeDeploy(bytecode, args), expected);
+    console.log('✅ Human-readable constructor encoded\n');
+
+    // Test 5: Invalid input
+    console.log('Test 5: Invalid Input');
+    assert.throws(() => codec.decodeDeployArgs(initCode, '0x6080604053'), DecodingError);
+    assert.throws(() => codec.encodeDeploy('0x608', args), InvalidValueError);
+    assert.throws(() => codec.encodeDeploy('6080', args), InvalidValueError);
+    assert.throws(
+      () => codec.encodeDeploy(bytecode, ['Token', 'TKN', owner]),
+      (error) => error instanceof InvalidValueError && error.fragment.type === 'constructor'
+    );
+    assert.throws(() => new ABICodec(tokenABI, { strict: true }).decodeDeployArgs(bytecode + '00', bytecode), DecodingError);
+    console.log('✅ Invalid input rejected\n');
+
+    console.log('🎉 All deployment encoding tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runDeployTests();
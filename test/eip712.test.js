@@ -0,0 +1,206 @@
+const assert = require('assert');
+const { TypedDataEncoder: EthersTypedDataEncoder } = require('ethers');
+const {
+  ABICodec,
+  TypedDataEncoder,
+  hashDomain,
+  hashTypedData,
+  validateTypedData,
+  getTypedDataTypes,
+  InvalidValueError
+} = require('../index');
+
+// Example from the EIP-712 specification
+const mail = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' }
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' }
+    ]
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+  },
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!'
+  }
+};
+
+const owner = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const spender = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+const exchangeABI = [{
+  type: 'function',
+  name: 'fill',
+  inputs: [{
+    name: 'order',
+    type: 'tuple',
+    internalType: 'struct Exchange.Order',
+    components: [
+      { name: 'maker', type: 'address', internalType: 'address' },
+      {
+        name: 'items',
+        type: 'tuple[]',
+        internalType: 'struct Exchange.Item[]',
+        components: [
+          { name: 'token', type: 'address', internalType: 'address' },
+          { name: 'amount', type: 'uint256', internalType: 'uint256' }
+        ]
+      },
+      { name: 'expiry', type: 'uint64', internalType: 'uint64' },
+      { name: 'salt', type: 'bytes32', internalType: 'bytes32' },
+      { name: 'memo', type: 'bytes', internalType: 'bytes' }
+    ]
+  }, { name: 'signature', type: 'bytes', internalType: 'bytes' }],
+  outputs: []
+}];
+
+function runEIP712Tests() {
+  console.log('🚀 Starting EIP-712 Tests...\n');
+
+  try {
+    // Test 1: Specification example
+    console.log('Test 1: EIP-712 Specification Example');
+    const encoder = new TypedDataEncoder(mail.types);
+    assert.strictEqual(encoder.encodeType('Mail'), 'Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+    assert.strictEqual(encoder.typeHash('Mail'), '0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2');
+    assert.strictEqual(encoder.hashStruct('Mail', mail.message), '0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+    assert.strictEqual(hashDomain(mail.domain), '0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f');
+    assert.strictEqual(hashTypedData(mail), '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+    console.log('✅ Specification vectors match\n');
+
+    // Test 2: EIP-2612 permit, with the domain type and primary type inferred
+    console.log('Test 2: ERC20 Permit');
+    const permitTypes = {
+      Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+      ]
+    };
+    const permitDomain = { name: 'USD Coin', version: '2', chainId: 1, verifyingContract: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' };
+    const permit = { owner, spender, value: 10n ** 6n, nonce: 0, deadline: '1700000000' };
+    assert.strictEqual(
+      hashTypedData({ domain: permitDomain, types: permitTypes, message: permit }),
+      EthersTypedDataEncoder.hash(permitDomain, permitTypes, permit)
+    );
+    const saltDomain = { name: 'Vault', chainId: 137, salt: '0x' + '01'.repeat(32) };
+    assert.strictEqual(hashDomain(saltDomain), EthersTypedDataEncoder.hashDomain(saltDomain));
+    console.log('✅ Permit digest matches ethers\n');
+
+    // Test 3: Types derived from an ABI struct
+    console.log('Test 3: Types from ABI Structs');
+    const codec = new ABICodec(exchangeABI);
+    const { primaryType, types } = codec.getTypedDataTypes('fill', 'order');
+    assert.strictEqual(primaryType, 'Order');
+    assert.deepStrictEqual(types, {
+      Order: [
+        { name: 'maker', type: 'address' },
+        { name: 'items', type: 'Item[]' },
+        { name: 'expiry', type: 'uint64' },
+        { name: 'salt', type: 'bytes32' },
+        { name: 'memo', type: 'bytes' }
+      ],
+      Item: [
+        { name: 'token', type: 'address' },
+        { name: 'amount', type: 'uint256' }
+      ]
+    });
+    const order = {
+      maker: owner,
+      items: [{ token: spender, amount: 5 }, { token: owner, amount: 7n }],
+      expiry: 1700000000,
+      salt: '0x' + 'ab'.repeat(32),
+      memo: '0xdeadbeef'
+    };
+    const orderData = { domain: permitDomain, types, primaryType, message: order };
+    assert.strictEqual(hashTypedData(orderData), EthersTypedDataEncoder.hash(permitDomain, types, order));
+    assert.strictEqual(new TypedDataEncoder(types).encodeType('Order'), EthersTypedDataEncoder.from(types).encodeType('Order'));
+    // Human-readable ABIs have no internalType: names come from the params
+    const human = new ABICodec(['function submit((address maker, (address token, uint256 amount)[2] lots) bid)']);
+    assert.deepStrictEqual(Object.keys(human.getTypedDataTypes('submit').types), ['Bid', 'Lots']);
+    assert.deepStrictEqual(getTypedDataTypes(exchangeABI[0].inputs[0]), { primaryType, types });
+    // The same struct may appear twice, different structs may not share a name
+    const pair = new ABICodec(['function swap(((address token) info, (address token) info) legs)']);
+    assert.deepStrictEqual(pair.getTypedDataTypes('swap').types.Info, [{ name: 'token', type: 'address' }]);
+    const clash = new ABICodec(['function swap(((address token) info, (uint256 amount) info) legs)']);
+    assert.throws(() => clash.getTypedDataTypes('swap'), (error) => error instanceof InvalidValueError && /Different structs are named Info/.test(error.message));
+    const crossContract = {
+      name: 'route',
+      type: 'tuple',
+      components: [
+        { name: 'a', type: 'tuple', internalType: 'struct PoolA.Leg', components: [{ name: 'token', type: 'address' }] },
+        { name: 'b', type: 'tuple', internalType: 'struct PoolB.Leg', components: [{ name: 'pool', type: 'address' }] }
+      ]
+    };
+    assert.throws(() => getTypedDataTypes(crossContract), /Different structs are named Leg/);
+    assert.throws(() => codec.getTypedDataTypes('fill', 'signature'), /Expected a tuple param/);
+    assert.throws(() => codec.getTypedDataTypes('fill', 'nope'), /Parameter nope not found/);
+    console.log('✅ Types derived from ABI\n');
+
+    // Test 4: Message validation
+    console.log('Test 4: Message Validation');
+    assert.strictEqual(validateTypedData(mail), true);
+    const invalid = (message, pattern, path) => assert.throws(
+      () => validateTypedData({ ...mail, message }),
+      (error) => error instanceof InvalidValueError && pattern.test(error.message) && error.path === path
+    );
+    invalid({ ...mail.message, to: { name: 'Bob' } }, /Missing field wallet for Person/, 'message.to.wallet');
+    invalid({ ...mail.message, cc: 'Alice' }, /Unexpected field cc for Mail/, 'message.cc');
+    invalid({ ...mail.message, to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbb' } }, /Invalid address checksum/, 'message.to.wallet');
+    invalid({ ...mail.message, contents: 42 }, /Expected string/, 'message.contents');
+    invalid({ ...mail.message, from: 'Cow' }, /Expected object for Person/, 'message.from');
+    assert.throws(
+      () => hashTypedData({ ...orderData, message: { ...order, items: [{ token: spender, amount: -1 }] } }),
+      (error) => error.path === 'message.items[0].amount'
+    );
+    assert.throws(() => new TypedDataEncoder({ Mail: [{ name: 'to', type: 'Persn' }] }), /Unknown type Persn in Mail.to/);
+    assert.throws(() => new TypedDataEncoder({ Flag: [{ name: 'on', type: 'bool' }] }).hashStruct('Flag', { on: 1 }), /Expected boolean/);
+    const blob = new TypedDataEncoder({ Blob: [{ name: 'id', type: 'bytes32' }, { name: 'data', type: 'bytes' }] });
+    const blobValue = { id: '0x' + '12'.repeat(32), data: '0x1234' };
+    assert.strictEqual(blob.hashStruct('Blob', blobValue), EthersTypedDataEncoder.from(blob.types).hashStruct('Blob', blobValue));
+    assert.strictEqual(blob.hashStruct('Blob', { id: Buffer.alloc(32, 0x12), data: Buffer.from([0x12, 0x34]) }), blob.hashStruct('Blob', blobValue));
+    const invalidBlob = (value, pattern, path) => assert.throws(
+      () => blob.hashStruct('Blob', { ...blobValue, ...value }),
+      (error) => error instanceof InvalidValueError && pattern.test(error.message) && error.path === path
+    );
+    invalidBlob({ id: '0x12' }, /Expected 32 bytes for bytes32, got 1/, 'id');
+    invalidBlob({ id: 'hello' }, /Expected hex string or Buffer for bytes32/, 'id');
+    invalidBlob({ data: 'hello' }, /Expected hex string or Buffer for bytes/, 'data');
+    invalidBlob({ data: 42 }, /Expected hex string or Buffer for bytes/, 'data');
+    assert.throws(() => hashTypedData({ ...orderData, message: { ...order, salt: 'hello' } }), (error) => error.path === 'message.salt');
+    assert.throws(() => validateTypedData({ ...orderData, message: { ...order, memo: 'hello' } }), (error) => error.path === 'message.memo');
+    assert.throws(() => hashDomain({ name: 'x', chain: 1 }), /Unexpected domain field: chain/);
+    assert.throws(() => hashTypedData({ domain: permitDomain, types: { A: [], B: [] }, message: {} }), /Ambiguous primary type: A, B/);
+    console.log('✅ Invalid messages rejected\n');
+
+    console.log('🎉 All EIP-712 tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runEIP712Tests();
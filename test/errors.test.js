@@ -0,0 +1,152 @@
+const assert = require('assert');
+const {
+  ABICodec,
+  ABICodecError,
+  UnknownFragmentError,
+  InvalidValueError,
+  OverflowError,
+  UnsupportedTypeError,
+  DecodingError
+} = require('../index');
+
+const orderABI = [
+  {
+    "type": "function",
+    "name": "fillOrder",
+    "inputs": [
+      {
+        "name": "order",
+        "type": "tuple",
+        "components": [
+          {"name": "maker", "type": "address"},
+          {
+            "name": "items",
+            "type": "tuple[]",
+            "components": [
+              {"name": "token", "type": "address"},
+              {"name": "amount", "type": "uint96"}
+            ]
+          }
+        ]
+      }
+    ],
+    "outputs": [{"name": "filled", "type": "uint256"}]
+  },
+  {
+    "type": "function",
+    "name": "broken",
+    "inputs": [{"name": "x", "type": "uint7x"}],
+    "outputs": []
+  },
+  {
+    "type": "event",
+    "name": "Transfer",
+    "inputs": [
+      {"name": "from", "type": "address", "indexed": true},
+      {"name": "to", "type": "address", "indexed": true},
+      {"name": "value", "type": "uint256", "indexed": false}
+    ]
+  }
+];
+
+const maker = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const items = (amount) => [
+  { token: maker, amount: 1 },
+  { token: maker, amount: 2 },
+  { token: maker, amount: 3 },
+  { token: maker, amount }
+];
+
+// Expect `fn` to throw an instance of ErrorClass with the given fields
+function assertCodecError(fn, ErrorClass, fields = {}) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof ErrorClass, `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+    assert.ok(error instanceof ABICodecError);
+    for (const [key, value] of Object.entries(fields)) {
+      assert.deepStrictEqual(error[key], value, `Unexpected ${key}`);
+    }
+    return true;
+  });
+}
+
+function runErrorTests() {
+  console.log('🚀 Starting Error Handling Tests...\n');
+
+  try {
+    const codec = new ABICodec(orderABI);
+    const fillOrder = orderABI[0];
+
+    // Test 1: Unknown fragments
+    console.log('Test 1: Unknown Fragments');
+    assertCodecError(() => codec.encodeFunction('unknownFunction', []), UnknownFragmentError, { code: 'UNKNOWN_FRAGMENT' });
+    assertCodecError(() => codec.decodeFunctionResult('unknownFunction', '0x'), UnknownFragmentError);
+    assertCodecError(() => codec.decodeLog('0x', ['0x' + '11'.repeat(32)]), UnknownFragmentError);
+    console.log('✅ Unknown fragments reported\n');
+
+    // Test 2: Invalid values carry the parameter path and fragment
+    console.log('Test 2: Invalid Value Paths');
+    assertCodecError(
+      () => codec.encodeFunction('fillOrder', [{ maker: '0x1234', items: [] }]),
+      InvalidValueError,
+      { code: 'INVALID_VALUE', path: 'order.maker', fragment: fillOrder }
+    );
+    assertCodecError(
+      () => codec.encodeFunction('fillOrder', [{ maker, items: [...items(4).slice(0, 3), { token: maker }] }]),
+      InvalidValueError,
+      { path: 'order.items[3]' }
+    );
+    assertCodecError(() => codec.encodeFunction('fillOrder', []), InvalidValueError, { path: null });
+    assertCodecError(
+      () => codec.encodeFunction('fillOrder', [{ maker, items: items('not a number') }]),
+      InvalidValueError,
+      { path: 'order.items[3].amount' }
+    );
+    console.log('✅ Invalid values reported with paths\n');
+
+    // Test 3: Overflow is a specialised invalid value
+    console.log('Test 3: Overflow');
+    assertCodecError(
+      () => codec.encodeFunction('fillOrder', [{ maker, items: items(1n << 96n) }]),
+      OverflowError,
+      { code: 'NUMERIC_OVERFLOW', path: 'order.items[3].amount' }
+    );
+    assert.ok(new OverflowError('x') instanceof InvalidValueError);
+    console.log('✅ Overflow reported\n');
+
+    // Test 4: Unsupported types
+    console.log('Test 4: Unsupported Types');
+    assertCodecError(() => codec.encodeFunction('broken', [1]), UnsupportedTypeError, { code: 'UNSUPPORTED_TYPE', path: 'x' });
+    console.log('✅ Unsupported types reported\n');
+
+    // Test 5: Malformed data
+    console.log('Test 5: Malformed Data');
+    const calldata = codec.encodeFunction('fillOrder', [{ maker, items: items(4) }]);
+    assertCodecError(() => codec.decodeFunction('fillOrder', calldata.slice(0, 200)), DecodingError, {
+      code: 'MALFORMED_DATA',
+      fragment: fillOrder
+    });
+    assertCodecError(() => codec.decodeFunction('fillOrder', '0x12'), DecodingError);
+    const strictCodec = new ABICodec(orderABI, { strict: true });
+    assertCodecError(() => strictCodec.decodeLog('0x12', [
+      '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+      '0x000000000000000000000000742d35cc6634c0532925a3b8d8e9eed89b7a6de6',
+      '0x000000000000000000000000742d35cc6634c0532925a3b8d8e9eed89b7a6de7'
+    ]), DecodingError, { fragment: orderABI[2] });
+    console.log('✅ Malformed data reported\n');
+
+    // Test 6: Receipt decoding input validation
+    console.log('Test 6: Receipt Input Validation');
+    assertCodecError(() => codec.decodeMultipleReceipts('not an array'), InvalidValueError);
+    console.log('✅ Receipt input validated\n');
+
+    console.log('🎉 All error handling tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runErrorTests();
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { Interface, AbiCoder, keccak256, solidityPackedKeccak256, id, concat, toUtf8Bytes, zeroPadBytes } = require('ethers');
+const { ABICodec, InvalidValueError } = require('../index');
+
+const filterABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Registered(string indexed name, bytes indexed data, int256 indexed score)',
+  'event Filled((address maker, uint256 amount) indexed order, uint256[] indexed ids, (string tag, uint256 id) indexed label)',
+  'event Note(bytes4 indexed sig, address indexed guy) anonymous'
+];
+
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+function runFilterTests() {
+  console.log('🚀 Starting Event Filter Tests...\n');
+
+  try {
+    const codec = new ABICodec(filterABI);
+    const iface = new Interface(filterABI.slice(0, 2));
+
+    // Test 1: Value-type topics match ethers
+    console.log('Test 1: Value-type Topics');
+    assert.deepStrictEqual(codec.encodeEventTopics('Transfer', [alice, bob]), iface.encodeFilterTopics('Transfer', [alice, bob]));
+    assert.deepStrictEqual(codec.encodeEventTopics('Transfer', { to: bob }), iface.encodeFilterTopics('Transfer', [null, bob]));
+    assert.deepStrictEqual(codec.encodeEventTopics('Transfer'), [codec.getEventSelector('Transfer')]);
+    // Trailing wildcards are dropped
+    assert.deepStrictEqual(codec.encodeEventTopics('Transfer', [alice, null]), codec.encodeEventTopics('Transfer', [alice]));
+    console.log('✅ Value-type topics encoded\n');
+
+    // Test 2: OR alternatives
+    console.log('Test 2: OR Alternatives');
+    assert.deepStrictEqual(
+      codec.encodeEventTopics('Transfer', [[alice, bob], alice]),
+      iface.encodeFilterTopics('Transfer', [[alice, bob], alice])
+    );
+    assert.deepStrictEqual(
+      codec.encodeEventTopics('Registered', { score: [1, 2] }),
+      iface.encodeFilterTopics('Registered', [null, null, [1, 2]])
+    );
+    assert.deepStrictEqual(codec.encodeEventTopics('Registered', { score: -1 })[3], '0x' + 'ff'.repeat(32));
+    console.log('✅ OR alternatives encoded\n');
+
+    // Test 3: Hashed strings and bytes
+    console.log('Test 3: Hashed Strings and Bytes');
+    const topics = codec.encodeEventTopics('Registered', ['alice.eth', '0x1234']);
+    assert.deepStrictEqual(topics, iface.encodeFilterTopics('Registered', ['alice.eth', '0x1234']));
+    assert.strictEqual(topics[1], id('alice.eth'));
+    assert.strictEqual(topics[2], keccak256('0x1234'));
+    // OR alternatives hash each value
+    const alternatives = codec.encodeEventTopics('Registered', { name: ['alice.eth', 'bob.eth'], data: ['0x1234', '0xabcd'] });
+    assert.deepStrictEqual(alternatives, iface.encodeFilterTopics('Registered', [['alice.eth', 'bob.eth'], ['0x1234', '0xabcd']]));
+    assert.deepStrictEqual(alternatives[1], [id('alice.eth'), id('bob.eth')]);
+    assert.deepStrictEqual(alternatives[2], [keccak256('0x1234'), keccak256('0xabcd')]);
+    console.log('✅ Strings and bytes hashed\n');
+
+    // Test 4: Hashed structs and arrays (in-place encoding, elements padded to 32 bytes)
+    console.log('Test 4: Hashed Structs and Arrays');
+    const filled = codec.encodeEventTopics('Filled', [{ maker: alice, amount: 5 }, [1, 2], ['gm', 7]]);
+    assert.strictEqual(filled[1], keccak256(AbiCoder.defaultAbiCoder().encode(['address', 'uint256'], [alice, 5])));
+    assert.strictEqual(filled[2], solidityPackedKeccak256(['uint256[]'], [[1, 2]]));
+    assert.strictEqual(filled[3], keccak256(concat([zeroPadBytes(toUtf8Bytes('gm'), 32), AbiCoder.defaultAbiCoder().encode(['uint256'], [7])])));
+    console.log('✅ Structs and arrays hashed\n');
+
+    // Test 5: Anonymous events have no topic0
+    console.log('Test 5: Anonymous Events');
+    assert.deepStrictEqual(codec.encodeEventTopics('Note', [null, alice]), [null, '0x' + alice.slice(2).padStart(64, '0')]);
+    assert.deepStrictEqual(codec.encodeEventTopics('Note'), []);
+    console.log('✅ Anonymous topics encoded\n');
+
+    // Test 6: Filter objects
+    console.log('Test 6: Filter Objects');
+    assert.deepStrictEqual(codec.buildLogFilter('Transfer', { from: alice }, { address: bob, fromBlock: 17000000, toBlock: 'latest' }), {
+      address: bob,
+      topics: iface.encodeFilterTopics('Transfer', [alice]),
+      fromBlock: '0x1036640',
+      toBlock: 'latest'
+    });
+    const blockHash = '0x' + 'ab'.repeat(32);
+    assert.deepStrictEqual(codec.buildLogFilter('Transfer', [], { address: [alice, bob], blockHash }), {
+      address: [alice, bob],
+      topics: [codec.getEventSelector('Transfer')],
+      blockHash
+    });
+    assert.strictEqual(codec.buildLogFilter('Transfer', [], { fromBlock: 10n, toBlock: '0x00ff' }).toBlock, '0xff');
+    console.log('✅ Filter objects built\n');
+
+    // Test 7: Invalid filters
+    console.log('Test 7: Invalid Filters');
+    assert.throws(() => codec.encodeEventTopics('Transfer', { value: 1 }), /value is not an indexed parameter of Transfer/);
+    assert.throws(() => codec.encodeEventTopics('Transfer', [alice, bob, 1]), InvalidValueError);
+    assert.throws(() => codec.encodeEventTopics('Transfer', ['0x1234']), (error) => error.path === 'from' && error.fragment.name === 'Transfer');
+    assert.throws(() => codec.buildLogFilter('Transfer', [], { fromBlock: -1 }), InvalidValueError);
+    assert.throws(() => codec.buildLogFilter('Transfer', [], { fromBlock: 1, blockHash }), InvalidValueError);
+    assert.throws(() => codec.buildLogFilter('Transfer', [], { address: '0x1234' }), InvalidValueError);
+    console.log('✅ Invalid filters rejected\n');
+
+    console.log('🎉 All event filter tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runFilterTests();
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const { AbiCoder, Interface, Result, getAddress } = require('ethers');
+const { ABICodec, ABIRegistry, Decoder, InvalidValueError } = require('../index');
+
+const orderABI = [
+  'function fill((address maker, uint256 amount, bytes32 salt, uint8 kind) order, bytes signature, int64[] deltas) returns (uint256 filled, address taker)',
+  'event Filled(address indexed maker, string indexed note, uint256 amount, (address maker, uint48 expiry) order, bytes data)',
+  'error Expired(address maker, uint256 deadline)'
+];
+
+const maker = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const taker = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const salt = '0x' + 'ab'.repeat(32);
+const order = [maker, 10n ** 20n, salt, 3];
+
+function runFormatTests() {
+  console.log('🚀 Starting Value Format Tests...\n');
+
+  try {
+    const iface = new Interface(orderABI);
+    const calldata = iface.encodeFunctionData('fill', [order, '0x1234', [-5, 7]]);
+    const resultData = iface.encodeFunctionResult('fill', [42, taker]);
+    const log = iface.encodeEventLog('Filled', [maker, 'gm', 9, [taker, 1700000000], '0xbeef']);
+    const revertData = iface.encodeErrorResult('Expired', [maker, 1700000000]);
+
+    // Test 1: Default strings preset is unchanged
+    console.log('Test 1: Strings Preset');
+    const strings = new ABICodec(orderABI);
+    assert.deepStrictEqual(strings.decodeFunction('fill', calldata), [
+      { maker, amount: '100000000000000000000', salt, kind: '3' },
+      '0x1234',
+      ['-5', '7']
+    ]);
+    assert.deepStrictEqual(new ABICodec(orderABI, { format: 'strings' }).decodeLog(log.data, log.topics), strings.decodeLog(log.data, log.topics));
+    console.log('✅ Default shape kept\n');
+
+    // Test 2: bigint preset
+    console.log('Test 2: BigInt Preset');
+    const bigint = new ABICodec(orderABI, { format: 'bigint' });
+    assert.deepStrictEqual(bigint.decodeFunction('fill', calldata), [
+      { maker, amount: 10n ** 20n, salt, kind: 3n },
+      '0x1234',
+      [-5n, 7n]
+    ]);
+    assert.deepStrictEqual(bigint.decodeFunctionResult('fill', resultData), [42n, taker]);
+    assert.deepStrictEqual(bigint.decodeLog(log.data, log.topics).args, {
+      maker,
+      note: log.topics[2],
+      amount: 9n,
+      order: { maker: taker, expiry: 1700000000n },
+      data: '0xbeef'
+    });
+    assert.deepStrictEqual(bigint.decodeError(revertData).args, { maker, deadline: 1700000000n });
+    console.log('✅ Integers decoded as bigint\n');
+
+    // Test 3: ethers preset matches ethers' own Result
+    console.log('Test 3: Ethers Preset');
+    const ethers = new ABICodec(orderABI, { format: 'ethers' });
+    const call = ethers.decodeFunction('fill', calldata);
+    const expected = iface.decodeFunctionData('fill', calldata);
+    assert.ok(call instanceof Result);
+    assert.deepStrictEqual(call.toObject(true), expected.toObject(true));
+    assert.strictEqual(call.order.maker, getAddress(maker));
+    assert.strictEqual(call[0][1], 10n ** 20n);
+    const result = ethers.decodeFunctionResult('fill', resultData);
+    assert.strictEqual(result.filled, 42n);
+    assert.strictEqual(result[1], getAddress(taker));
+    const args = ethers.decodeLog(log.data, log.topics).args;
+    assert.ok(args instanceof Result);
+    assert.strictEqual(args.maker, getAddress(maker));
+    assert.strictEqual(args.note, log.topics[2]);
+    assert.strictEqual(args.order.expiry, 1700000000n);
+    assert.strictEqual(ethers.decodeError(revertData).args.deadline, 1700000000n);
+    // Unnamed event inputs keep their own position
+    const unnamedABI = ['event Moved(uint256, address indexed, uint256)'];
+    const unnamedLog = new Interface(unnamedABI).encodeEventLog('Moved', [1, maker, 2]);
+    assert.deepStrictEqual(Array.from(new ABICodec(unnamedABI, { format: 'ethers' }).decodeLog(unnamedLog.data, unnamedLog.topics).args), [1n, getAddress(maker), 2n]);
+    assert.deepStrictEqual(new ABICodec(unnamedABI).decodeLog(unnamedLog.data, unnamedLog.topics).args, { field0: '1', field1: maker, field2: '2' });
+    console.log('✅ ethers-style Results built\n');
+
+    // Test 4: json-safe preset
+    console.log('Test 4: JSON-safe Preset');
+    const jsonSafe = new ABICodec(orderABI, { format: 'json-safe' });
+    const decodedLog = jsonSafe.decodeLog(log.data, log.topics);
+    assert.strictEqual(decodedLog.args.order.expiry, 1700000000);
+    assert.strictEqual(decodedLog.args.amount, '9');
+    assert.deepStrictEqual(jsonSafe.decodeFunction('fill', calldata)[0].kind, 3);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(decodedLog)), decodedLog);
+    console.log('✅ Small integers decoded as numbers\n');
+
+    // Test 5: Custom conversions
+    console.log('Test 5: Custom Conversions');
+    const custom = new ABICodec(orderABI, {
+      format: { preset: 'bigint', bytes: 'buffer', address: 'checksum', int: (value, type) => `${type}:${value}` },
+      learnPreimages: true
+    });
+    const [decodedOrder, signature, deltas] = custom.decodeFunction('fill', calldata);
+    assert.ok(Buffer.isBuffer(signature) && Buffer.isBuffer(decodedOrder.salt));
+    assert.strictEqual(decodedOrder.maker, getAddress(maker));
+    assert.deepStrictEqual(deltas, ['int64:-5', 'int64:7']);
+    // Hashed indexed params keep their topic hash next to a known preimage
+    custom.preimages.add('string', 'gm');
+    assert.deepStrictEqual(custom.decodeLog(log.data, log.topics).args.note, { hash: log.topics[2], value: 'gm' });
+    assert.throws(() => new ABICodec(orderABI, { format: 'hex' }), InvalidValueError);
+    assert.throws(() => new ABICodec(orderABI, { format: { bytes: 'base64' } }), /Unknown bytes format/);
+    console.log('✅ Custom conversions applied\n');
+
+    // Test 6: Decoder and registry
+    console.log('Test 6: Decoder and Registry');
+    const decoder = new Decoder({ format: 'bigint' });
+    const encoded = AbiCoder.defaultAbiCoder().encode(['uint8', 'address', 'int256[]'], [1, taker, [-2]]);
+    assert.deepStrictEqual(decoder.decodeParameters(['uint8', 'address', 'int256[]'], encoded), [1n, taker, [-2n]]);
+    assert.strictEqual(decoder.decodeLog(strings.eventsByName.get('Filled')[0], log.data, log.topics).args.amount, 9n);
+    const registry = new ABIRegistry({ format: 'ethers' });
+    registry.register(taker, orderABI);
+    const decodedCall = registry.decodeCall({ to: taker, data: calldata });
+    assert.ok(decodedCall.args instanceof Result);
+    assert.strictEqual(decodedCall.args.order.amount, 10n ** 20n);
+    console.log('✅ Decoder and registry formatted\n');
+
+    console.log('🎉 All value format tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runFormatTests();
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const { Interface } = require('ethers');
+const { ABICodec, parseSignature, formatFragment, InvalidSignatureError } = require('../index');
+
+// Short ABI kept as human-readable signatures
+const humanABI = [
+  'constructor(string memory name_, address payable owner_) payable',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function balanceOf(address owner) external view returns (uint)',
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params) external payable returns (uint256 amountOut)',
+  'function fill(tuple(address maker, uint256[] amounts)[2][] orders, bytes calldata signature)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event LogNote(bytes4 indexed sig, address indexed guy, bytes32 indexed foo, bytes32 indexed bar, uint wad, bytes fax) anonymous',
+  'error InsufficientBalance(uint256 available, uint256 required)',
+  'fallback() external payable',
+  'receive() external payable'
+];
+
+function runFragmentTests() {
+  console.log('🚀 Starting Human-Readable ABI Tests...\n');
+
+  try {
+    // Test 1: Parsing signatures into JSON fragments
+    console.log('Test 1: Signature Parsing');
+    assert.deepStrictEqual(parseSignature('function transfer(address to, uint256 amount) returns (bool)'), {
+      type: 'function',
+      name: 'transfer',
+      inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+      outputs: [{ name: '', type: 'bool' }],
+      stateMutability: 'nonpayable'
+    });
+    assert.deepStrictEqual(parseSignature('event Transfer(address indexed from, address indexed to, uint256 value)').inputs, [
+      { name: 'from', type: 'address', indexed: true },
+      { name: 'to', type: 'address', indexed: true },
+      { name: 'value', type: 'uint256', indexed: false }
+    ]);
+    assert.deepStrictEqual(parseSignature('function fill(tuple(address maker, uint256[] amounts)[2][] orders)').inputs[0], {
+      name: 'orders',
+      type: 'tuple[2][]',
+      components: [{ name: 'maker', type: 'address' }, { name: 'amounts', type: 'uint256[]' }]
+    });
+    assert.strictEqual(parseSignature('function balanceOf(address) constant returns (uint)').stateMutability, 'view');
+    assert.strictEqual(parseSignature(humanABI[6]).anonymous, true);
+    assert.deepStrictEqual(parseSignature(humanABI[0]), {
+      type: 'constructor',
+      inputs: [{ name: 'name_', type: 'string' }, { name: 'owner_', type: 'address' }],
+      stateMutability: 'payable'
+    });
+    assert.deepStrictEqual(parseSignature('transfer(address,uint256)').inputs.map(input => input.type), ['address', 'uint256']);
+    console.log('✅ Signatures parsed\n');
+
+    // Test 2: Codec built from signatures matches ethers
+    console.log('Test 2: ABICodec from Signatures');
+    const codec = new ABICodec(humanABI);
+    const iface = new Interface([humanABI[1], humanABI[5], humanABI[7]]);
+    const to = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+    assert.strictEqual(codec.encodeFunction('transfer', [to, 5]), iface.encodeFunctionData('transfer', [to, 5]));
+    assert.strictEqual(codec.getEventSelector('Transfer'), iface.getEvent('Transfer').topicHash);
+    assert.strictEqual(codec.encodeError('InsufficientBalance', [1, 2]), iface.encodeErrorResult('InsufficientBalance', [1, 2]));
+    console.log('✅ Codec from signatures matches ethers\n');
+
+    // Test 3: Newline-separated text
+    console.log('Test 3: Signature Text');
+    const fromText = new ABICodec(`
+      function transfer(address to, uint256 amount) returns (bool)
+      event Transfer(address indexed from, address indexed to, uint256 value)
+    `);
+    assert.strictEqual(fromText.getFunctionSelector('transfer'), '0xa9059cbb');
+    // A JSON string holding a single fragment
+    const single = new ABICodec(JSON.stringify(parseSignature('function transfer(address to, uint256 amount) returns (bool)')));
+    assert.strictEqual(single.getFunctionSelector('transfer'), '0xa9059cbb');
+    console.log('✅ Signature text parsed\n');
+
+    // Test 4: Formatting round trip
+    console.log('Test 4: Formatting');
+    assert.strictEqual(
+      formatFragment(parseSignature(humanABI[2])),
+      'function balanceOf(address owner) view returns (uint256)'
+    );
+    assert.strictEqual(
+      formatFragment(parseSignature(humanABI[4])),
+      'function fill(tuple(address maker, uint256[] amounts)[2][] orders, bytes signature)'
+    );
+    for (const fragment of codec.abi) {
+      assert.deepStrictEqual(parseSignature(formatFragment(fragment)), fragment);
+    }
+    console.log(codec.formatABI().join('\n'));
+    console.log('✅ Fragments formatted\n');
+
+    // Test 5: Invalid signatures
+    console.log('Test 5: Invalid Signatures');
+    assert.throws(() => parseSignature('function transfer(address to'), InvalidSignatureError);
+    assert.throws(() => parseSignature('function transfer(addr to)'), /Unsupported type "addr"/);
+    assert.throws(() => parseSignature('function transfer(uint7 x)'), InvalidSignatureError);
+    assert.throws(() => parseSignature('event Foo(uint256 a) view'), InvalidSignatureError);
+    assert.throws(() => parseSignature('function f(string memory memory s)'), /Repeated data location "memory"/);
+    assert.throws(() => parseSignature('function f(bytes calldata memory)'), InvalidSignatureError);
+    assert.throws(() => new ABICodec(['function ok()', 'nonsense']), (error) => error.code === 'INVALID_SIGNATURE');
+    console.log('✅ Invalid signatures rejected\n');
+
+    console.log('🎉 All human-readable ABI tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runFragmentTests();
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { Interface, id } = require('ethers');
+const { ABICodec, InvalidValueError } = require('../index');
+
+const logABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Registered(string indexed name, address indexed owner, string name_, uint256[] ids)',
+  'event Note(bytes4 indexed sig, address indexed guy, bytes fax) anonymous',
+  'event Quoted((address maker, uint256 amount) indexed quote, uint256[2] indexed range)'
+];
+
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const token = '0xa0b86a33e6417c8c2b60c9b6d2b1f1d3f4e5f6a7';
+
+function runLogTests() {
+  console.log('🚀 Starting Log Encoding Tests...\n');
+
+  try {
+    const codec = new ABICodec(logABI);
+    const iface = new Interface(codec.abi);
+
+    // Test 1: Logs match ethers
+    console.log('Test 1: Log Encoding');
+    assert.deepStrictEqual(codec.encodeLog('Transfer', [alice, bob, 1000n]), iface.encodeEventLog('Transfer', [alice, bob, 1000n]));
+    assert.deepStrictEqual(
+      codec.encodeLog('Transfer', { from: alice, to: bob, value: 1000n }),
+      codec.encodeLog('Transfer', [alice, bob, 1000n])
+    );
+    assert.deepStrictEqual(
+      codec.encodeLog('Registered', ['alice.eth', alice, 'alice.eth', [1, 2]]),
+      iface.encodeEventLog('Registered', ['alice.eth', alice, 'alice.eth', [1, 2]])
+    );
+    assert.deepStrictEqual(codec.encodeLog('Note', ['0x1cff79cd', alice, '0x']), iface.encodeEventLog('Note', ['0x1cff79cd', alice, '0x']));
+    console.log('✅ Logs encoded\n');
+
+    // Test 2: Round trip through decodeLog
+    console.log('Test 2: Round Trip');
+    const transfer = codec.encodeLog('Transfer', [alice, bob, 1000n]);
+    assert.deepStrictEqual(codec.decodeLog(transfer.data, transfer.topics), {
+      name: 'Transfer',
+      args: { from: alice, to: bob, value: '1000' }
+    });
+    const registered = codec.encodeLog('Registered', ['alice.eth', alice, 'alice.eth', [1, 2]]);
+    assert.deepStrictEqual(codec.decodeLog(registered.data, registered.topics).args, {
+      name: id('alice.eth'), // indexed strings are only recoverable as their hash
+      owner: alice,
+      name_: 'alice.eth',
+      ids: ['1', '2']
+    });
+    const quoted = codec.encodeLog('Quoted', [{ maker: alice, amount: 1 }, [1, 2]]);
+    assert.deepStrictEqual(codec.decodeLog(quoted.data, quoted.topics).args, {
+      quote: quoted.topics[1],
+      range: quoted.topics[2]
+    });
+    console.log('✅ Encoded logs decode back\n');
+
+    // Test 3: Mock receipts
+    console.log('Test 3: Receipt Builder');
+    const receipt = codec.buildReceipt([
+      { address: token, event: 'Transfer', args: [alice, bob, 5] },
+      { address: token, ...transfer },
+      { address: alice, event: 'Note', args: { sig: '0x1cff79cd', guy: bob, fax: '0x1234' } }
+    ], {
+      transactionHash: '0x' + '12'.repeat(32),
+      blockNumber: 18500000,
+      transactionIndex: 50,
+      logIndex: 7,
+      from: alice,
+      to: token
+    });
+    assert.strictEqual(receipt.status, 1);
+    assert.strictEqual(receipt.from, alice);
+    assert.deepStrictEqual(receipt.logs.map(log => log.logIndex), [7, 8, 9]);
+    assert.ok(receipt.logs.every(log => log.transactionIndex === 50 && log.blockNumber === 18500000 && log.removed === false));
+    assert.strictEqual(receipt.logs[0].transactionHash, receipt.transactionHash);
+
+    const decoded = codec.decodeReceiptLogs(receipt);
+    assert.deepStrictEqual(decoded.map(log => log.name), ['Transfer', 'Transfer', 'Note']);
+    assert.deepStrictEqual(decoded[0].args, { from: alice, to: bob, value: '5' });
+    assert.deepStrictEqual(decoded[2].args, { sig: '0x1cff79cd', guy: bob, fax: '0x1234' });
+    console.log('✅ Mock receipt built and decoded\n');
+
+    // Test 4: Invalid arguments
+    console.log('Test 4: Invalid Arguments');
+    assert.throws(() => codec.encodeLog('Transfer', [alice, bob]), InvalidValueError);
+    assert.throws(() => codec.encodeLog('Transfer', { from: alice, to: bob }), /Missing event argument: value/);
+    assert.throws(() => codec.encodeLog('Transfer', [alice, '0x1234', 1]), (error) => error.path === 'to' && error.fragment.name === 'Transfer');
+    assert.throws(() => codec.buildReceipt(null), InvalidValueError);
+    console.log('✅ Invalid arguments rejected\n');
+
+    console.log('🎉 All log encoding tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runLogTests();
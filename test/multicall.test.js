@@ -0,0 +1,146 @@
+const assert = require('assert');
+const { Interface } = require('ethers');
+const { ABICodec, Multicall, MULTICALL3_ADDRESS, getStandardABI, InvalidValueError, DecodingError } = require('../index');
+
+const usdc = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const pool = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+
+const vaultABI = [
+  'function withdraw(uint256 amount) returns (uint256 shares)',
+  'error InsufficientBalance(uint256 available, uint256 required)'
+];
+
+function runMulticallTests() {
+  console.log('🚀 Starting Multicall Tests...\n');
+
+  try {
+    const multicallIface = new Interface(getStandardABI('multicall3'));
+    const erc20 = ABICodec.fromStandard('erc20');
+    const erc20Iface = new Interface(getStandardABI('erc20'));
+    const vault = new ABICodec(vaultABI);
+    const vaultIface = new Interface(vaultABI);
+
+    const multicall = new Multicall({ allowFailure: true });
+    assert.strictEqual(multicall.add({ codec: erc20, target: usdc, function: 'balanceOf', args: [alice] }), 0);
+    multicall.add({ codec: erc20, target: usdc, function: 'symbol' });
+    multicall.add({ codec: vault, target: pool, function: 'withdraw', args: [500] });
+    multicall.add({ codec: vaultABI, target: pool, function: 'withdraw(uint256)', args: [1], allowFailure: false });
+    multicall.add({ codec: erc20, target: usdc, function: 'decimals' });
+
+    // Test 1: aggregate3 calldata
+    console.log('Test 1: Call Encoding');
+    assert.strictEqual(multicall.length, 5);
+    const calldata = multicall.encode();
+    assert.strictEqual(calldata.slice(0, 10), '0x82ad56cb');
+    assert.strictEqual(calldata, multicallIface.encodeFunctionData('aggregate3', [[
+      [usdc, true, erc20.encodeFunction('balanceOf', [alice])],
+      [usdc, true, erc20.encodeFunction('symbol')],
+      [pool, true, vault.encodeFunction('withdraw', [500])],
+      [pool, false, vault.encodeFunction('withdraw', [1])],
+      [usdc, true, erc20.encodeFunction('decimals')]
+    ]]));
+    assert.deepStrictEqual(multicall.toTransaction(), { to: MULTICALL3_ADDRESS, data: calldata });
+    console.log('✅ aggregate3 calldata encoded\n');
+
+    // Test 2: Per-call results and revert errors
+    console.log('Test 2: Result Decoding');
+    const insufficient = vaultIface.encodeErrorResult('InsufficientBalance', [100, 500]);
+    const response = multicallIface.encodeFunctionResult('aggregate3', [[
+      [true, erc20Iface.encodeFunctionResult('balanceOf', [1234])],
+      [true, erc20Iface.encodeFunctionResult('symbol', ['USDC'])],
+      [false, insufficient],
+      [true, vaultIface.encodeFunctionResult('withdraw', [1])],
+      [false, '0x']
+    ]]);
+    const results = multicall.decode(response);
+    assert.deepStrictEqual(results[0], { success: true, result: ['1234'], error: null, returnData: results[0].returnData });
+    assert.deepStrictEqual(results[1].result, ['USDC']);
+    assert.deepStrictEqual(results[2], {
+      success: false,
+      result: null,
+      error: {
+        name: 'InsufficientBalance',
+        signature: 'InsufficientBalance(uint256,uint256)',
+        selector: insufficient.slice(0, 10),
+        args: { available: '100', required: '500' }
+      },
+      returnData: insufficient
+    });
+    assert.deepStrictEqual(results[3].result, ['1']);
+    assert.deepStrictEqual(results[4], { success: false, result: null, error: null, returnData: '0x' });
+    console.log('✅ Results and reverts decoded\n');
+
+    // Test 3: Built-in and unknown revert reasons
+    console.log('Test 3: Revert Reasons');
+    const reverts = new Multicall({ allowFailure: true });
+    reverts.add({ codec: erc20, target: usdc, function: 'transfer', args: [alice, 1] });
+    reverts.add({ codec: erc20, target: usdc, function: 'transfer', args: [alice, 2] });
+    reverts.add({ codec: erc20, target: usdc, function: 'transfer', args: [alice, 3] });
+    const [reason, panic, unknown] = reverts.decode(multicallIface.encodeFunctionResult('aggregate3', [[
+      [false, erc20.encodeError('Error', ['ERC20: transfer amount exceeds balance'])],
+      [false, erc20.encodeError('Panic', [0x11])],
+      [false, insufficient]
+    ]]));
+    assert.strictEqual(reason.error.args.message, 'ERC20: transfer amount exceeds balance');
+    assert.strictEqual(panic.error.description, 'Arithmetic operation overflowed or underflowed');
+    assert.strictEqual(unknown.error, null);
+    assert.strictEqual(unknown.returnData, insufficient);
+    console.log('✅ Revert reasons decoded\n');
+
+    // Test 4: Value formats of each call's codec apply
+    console.log('Test 4: Value Formats');
+    const formatted = new Multicall();
+    formatted.add({ codec: ABICodec.fromStandard('erc20', { format: 'bigint' }), target: usdc, function: 'totalSupply' });
+    const [supply] = formatted.decode(multicallIface.encodeFunctionResult('aggregate3', [[
+      [true, erc20Iface.encodeFunctionResult('totalSupply', [10n ** 30n])]
+    ]]));
+    assert.deepStrictEqual(supply.result, [10n ** 30n]);
+    // allowFailure defaults to false
+    assert.strictEqual(multicallIface.decodeFunctionData('aggregate3', formatted.encode())[0][0].allowFailure, false);
+    console.log('✅ Call codecs format their results\n');
+
+    // Test 5: Invalid calls and responses
+    console.log('Test 5: Invalid Input');
+    const invalid = new Multicall();
+    assert.throws(() => invalid.add({ codec: erc20, target: usdc, function: 'transfer', args: [alice] }), /Type\/value count mismatch/);
+    assert.throws(() => invalid.add({ target: usdc, function: 'symbol' }), InvalidValueError);
+    assert.throws(() => invalid.add({ codec: erc20, function: 'symbol' }), (error) => error.path === 'calls[0].target');
+    assert.throws(() => invalid.add({ codec: erc20, target: 'usdc.eth', function: 'symbol' }), /Invalid address: usdc.eth/);
+    assert.throws(() => invalid.add({ codec: erc20, target: usdc, function: 'mint' }), /Function not found: mint/);
+    assert.strictEqual(invalid.length, 0);
+    assert.throws(() => multicall.decode(multicallIface.encodeFunctionResult('aggregate3', [[[true, '0x']]])), /Expected 5 multicall results, got 1/);
+    // Results that do not decode are reported on their own entry
+    const strict = new Multicall();
+    strict.add({ codec: ABICodec.fromStandard('erc20', { strict: true }), target: usdc, function: 'decimals' });
+    const [undecodable] = strict.decode(multicallIface.encodeFunctionResult('aggregate3', [[[true, '0x' + 'ff'.repeat(32)]]]));
+    assert.strictEqual(undecodable.success, true);
+    assert.strictEqual(undecodable.result, null);
+    assert.ok(undecodable.error instanceof DecodingError && undecodable.error.path === 'calls[0]' && /decimals\(\)/.test(undecodable.error.message));
+    // A call to an address without code succeeds with empty return data
+    const noCode = new Multicall({ allowFailure: true });
+    noCode.add({ codec: erc20, target: alice, function: 'decimals' });
+    noCode.add({ codec: erc20, target: usdc, function: 'decimals' });
+    const [empty, decimals] = noCode.decode(multicallIface.encodeFunctionResult('aggregate3', [[
+      [true, '0x'],
+      [true, erc20Iface.encodeFunctionResult('decimals', [6])]
+    ]]));
+    assert.deepStrictEqual([empty.success, empty.result, empty.returnData], [true, null, '0x']);
+    assert.ok(empty.error instanceof DecodingError && empty.error.path === 'calls[0]' && /returned no data/.test(empty.error.message));
+    assert.deepStrictEqual(decimals, { success: true, result: ['6'], error: null, returnData: decimals.returnData });
+    const noOutputs = new Multicall();
+    noOutputs.add({ codec: ['function poke()'], target: alice, function: 'poke' });
+    assert.deepStrictEqual(noOutputs.decode(multicallIface.encodeFunctionResult('aggregate3', [[[true, '0x']]]))[0].result, []);
+    console.log('✅ Invalid input rejected\n');
+
+    console.log('🎉 All multicall tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runMulticallTests();
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const { ABICodec, AmbiguousOverloadError, UnknownFragmentError } = require('../index');
+
+// ERC721 overloads plus an overloaded event
+const overloadABI = [
+  {
+    "type": "function",
+    "name": "safeTransferFrom",
+    "inputs": [
+      {"name": "from", "type": "address"},
+      {"name": "to", "type": "address"},
+      {"name": "tokenId", "type": "uint256"}
+    ],
+    "outputs": []
+  },
+  {
+    "type": "function",
+    "name": "safeTransferFrom",
+    "inputs": [
+      {"name": "from", "type": "address"},
+      {"name": "to", "type": "address"},
+      {"name": "tokenId", "type": "uint256"},
+      {"name": "data", "type": "bytes"}
+    ],
+    "outputs": []
+  },
+  {
+    "type": "function",
+    "name": "mint",
+    "inputs": [{"name": "to", "type": "address"}],
+    "outputs": [{"name": "tokenId", "type": "uint256"}]
+  },
+  {
+    "type": "function",
+    "name": "mint",
+    "inputs": [{"name": "amount", "type": "uint256"}],
+    "outputs": [{"name": "tokenId", "type": "uint256"}]
+  },
+  {
+    "type": "event",
+    "name": "Transfer",
+    "inputs": [
+      {"name": "from", "type": "address", "indexed": true},
+      {"name": "to", "type": "address", "indexed": true},
+      {"name": "value", "type": "uint256", "indexed": false}
+    ]
+  },
+  {
+    "type": "event",
+    "name": "Transfer",
+    "inputs": [
+      {"name": "from", "type": "address", "indexed": true},
+      {"name": "to", "type": "address", "indexed": true},
+      {"name": "value", "type": "uint256", "indexed": false},
+      {"name": "memo", "type": "string", "indexed": false}
+    ]
+  }
+];
+
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de7';
+
+function runOverloadTests() {
+  console.log('🚀 Starting Overload Resolution Tests...\n');
+
+  try {
+    const codec = new ABICodec(overloadABI);
+
+    // Test 1: Lookup by signature and selector
+    console.log('Test 1: Signature and Selector Lookup');
+    assert.strictEqual(codec.getFunctionSelector('safeTransferFrom(address,address,uint256)'), '0x42842e0e');
+    assert.strictEqual(codec.getFunctionSelector('safeTransferFrom(address, address, uint256, bytes)'), '0xb88d4fde');
+    const viaSelector = codec.encodeFunction('0xb88d4fde', [alice, bob, 1, '0x']);
+    assert.strictEqual(viaSelector.slice(0, 10), '0xb88d4fde');
+    // Names key the maps only when they are not overloaded
+    const erc20 = ABICodec.fromStandard('erc20');
+    assert.strictEqual(erc20.events.get('Transfer'), erc20.events.get('Transfer(address,address,uint256)'));
+    assert.strictEqual(erc20.functions.get('transfer').name, 'transfer');
+    assert.strictEqual(codec.functions.get('mint'), undefined);
+    assert.strictEqual(codec.events.get('Transfer'), undefined);
+    assert.strictEqual(codec.functionsByName.get('mint').length, 2);
+    console.log('✅ Signature and selector lookup\n');
+
+    // Test 2: Disambiguation by argument count
+    console.log('Test 2: Argument Count Disambiguation');
+    assert.strictEqual(codec.encodeFunction('safeTransferFrom', [alice, bob, 1]).slice(0, 10), '0x42842e0e');
+    assert.strictEqual(codec.encodeFunction('safeTransferFrom', [alice, bob, 1, '0x1234']).slice(0, 10), '0xb88d4fde');
+    console.log('✅ Overloads picked by argument count\n');
+
+    // Test 3: Disambiguation by argument types
+    console.log('Test 3: Argument Type Disambiguation');
+    assert.strictEqual(codec.encodeFunction('mint', [alice]).slice(0, 10), codec.getFunctionSelector('mint(address)'));
+    assert.strictEqual(codec.encodeFunction('mint', [5]).slice(0, 10), codec.getFunctionSelector('mint(uint256)'));
+    console.log('✅ Overloads picked by argument types\n');
+
+    // Test 4: Decoding uses the calldata selector
+    console.log('Test 4: Decoding Overloaded Calls');
+    const calldata = codec.encodeFunction('safeTransferFrom', [alice, bob, 7, '0xbeef']);
+    assert.deepStrictEqual(codec.decodeFunction('safeTransferFrom', calldata), [alice, bob, '7', '0xbeef']);
+    console.log('✅ Overloaded calldata decoded\n');
+
+    // Test 5: Ambiguity errors
+    console.log('Test 5: Ambiguous Names');
+    assert.throws(() => codec.getFunctionSelector('mint'), (error) => {
+      assert.ok(error instanceof AmbiguousOverloadError);
+      assert.strictEqual(error.code, 'AMBIGUOUS_OVERLOAD');
+      assert.deepStrictEqual(error.candidates, ['mint(address)', 'mint(uint256)']);
+      return true;
+    });
+    assert.throws(() => codec.decodeFunctionResult('mint', '0x' + '00'.repeat(32)), AmbiguousOverloadError);
+    assert.throws(() => codec.encodeFunction('mint', [true, 1]), UnknownFragmentError);
+    console.log('✅ Ambiguous names reported\n');
+
+    // Test 6: Overloaded events
+    console.log('Test 6: Overloaded Events');
+    const simpleTopic = codec.getEventSelector('Transfer(address,address,uint256)');
+    const memoTopic = codec.getEventSelector('Transfer(address,address,uint256,string)');
+    assert.strictEqual(simpleTopic, '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+    assert.throws(() => codec.getEventSelector('Transfer'), AmbiguousOverloadError);
+
+    const indexed = [
+      '0x000000000000000000000000' + alice.slice(2),
+      '0x000000000000000000000000' + bob.slice(2)
+    ];
+    const memoData = '0x' +
+      (1).toString(16).padStart(64, '0') +
+      (64).toString(16).padStart(64, '0') +
+      (2).toString(16).padStart(64, '0') +
+      '6869'.padEnd(64, '0');
+    const decoded = codec.decodeLog(memoData, [memoTopic, ...indexed], 'Transfer');
+    assert.deepStrictEqual(decoded.args, { from: alice, to: bob, value: '1', memo: 'hi' });
+    const receiptLogs = codec.decodeReceiptLogs({
+      logs: [{ topics: [simpleTopic, ...indexed], data: '0x' + (3).toString(16).padStart(64, '0') }]
+    });
+    assert.deepStrictEqual(receiptLogs[0].args, { from: alice, to: bob, value: '3' });
+    console.log('✅ Overloaded events resolved by topic0\n');
+
+    console.log('🎉 All overload tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runOverloadTests();
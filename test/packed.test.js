@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { solidityPacked, solidityPackedKeccak256, hashMessage, getBytes, getCreate2Address, keccak256 } = require('ethers');
+const { ABICodec, Encoder, InvalidValueError, UnsupportedTypeError } = require('../index');
+
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+
+function runPackedTests() {
+  console.log('🚀 Starting Packed Encoding Tests...\n');
+
+  try {
+    const encoder = new Encoder();
+
+    // Test 1: Vectors from the Solidity documentation and deployed contracts
+    console.log('Test 1: Solidity Vectors');
+    // abi.encodePacked(int16(-1), bytes1(0x42), uint16(0x03), string("Hello, world!"))
+    assert.strictEqual(
+      encoder.encodePacked(['int16', 'bytes1', 'uint16', 'string'], [-1, '0x42', 3, 'Hello, world!']),
+      '0xffff42000348656c6c6f2c20776f726c6421'
+    );
+    // UniswapV2Library.pairFor: keccak256(abi.encodePacked(hex'ff', factory, keccak256(abi.encodePacked(token0, token1)), initCodeHash))
+    const salt = encoder.solidityPackedKeccak256(
+      ['address', 'address'],
+      ['0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2']
+    );
+    const pairHash = encoder.solidityPackedKeccak256(
+      ['bytes1', 'address', 'bytes32', 'bytes32'],
+      ['0xff', '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f', salt, '0x96e8ac4277198ff8b6f785478aa9a39f403cb768dd02cbee326c3e7da348845f']
+    );
+    assert.strictEqual('0x' + pairHash.slice(26), '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc');
+    // ECDSA.toEthSignedMessageHash: keccak256(abi.encodePacked("\\x19Ethereum Signed Message:\\n32", hash))
+    const digest = keccak256('0x1234');
+    assert.strictEqual(
+      encoder.solidityPackedKeccak256(['string', 'bytes32'], ['\x19Ethereum Signed Message:\n32', digest]),
+      hashMessage(getBytes(digest))
+    );
+    console.log('✅ Solidity vectors match\n');
+
+    // Test 2: Every elementary type matches ethers
+    console.log('Test 2: Elementary Types');
+    const cases = [
+      [['uint8', 'uint24', 'uint256', 'uint'], [255, 0x123456, 2n ** 255n, 1]],
+      [['int8', 'int32', 'int256', 'int'], [-128, -2, -(2n ** 255n), -1]],
+      [['address', 'bool', 'bool'], [alice, true, false]],
+      [['bytes1', 'bytes4', 'bytes32'], ['0xab', '0xdeadbeef', '0x' + '11'.repeat(32)]],
+      [['bytes', 'string', 'bytes', 'string'], ['0x0102', 'gm ☀️', '0x', '']]
+    ];
+    for (const [types, values] of cases) {
+      assert.strictEqual(encoder.encodePacked(types, values), solidityPacked(types, values));
+      assert.strictEqual(encoder.solidityPackedKeccak256(types, values), solidityPackedKeccak256(types, values));
+    }
+    assert.strictEqual(encoder.encodePacked(['bytes4'], ['0xab']), '0xab000000');
+    assert.strictEqual(encoder.encodePacked([], []), '0x');
+    console.log('✅ Elementary types packed tightly\n');
+
+    // Test 3: Arrays pad every element
+    console.log('Test 3: Arrays');
+    const arrays = [
+      [['uint8[]', 'address[2]'], [[1, 2], [alice, alice]]],
+      [['bool[]', 'bytes4[1]', 'int16[]'], [[true], ['0xdeadbeef'], [-1, 5]]],
+      [['uint256[]', 'string'], [[], 'x']]
+    ];
+    for (const [types, values] of arrays) {
+      assert.strictEqual(encoder.encodePacked(types, values), solidityPacked(types, values));
+    }
+    assert.strictEqual(encoder.encodePacked(['uint16[]'], [[1, 2]]), '0x' + '1'.padStart(64, '0') + '2'.padStart(64, '0'));
+    console.log('✅ Array elements padded\n');
+
+    // Test 4: Invalid input
+    console.log('Test 4: Invalid Input');
+    assert.throws(() => encoder.encodePacked(['string[]'], [['a']]), UnsupportedTypeError);
+    assert.throws(() => encoder.encodePacked(['uint8[][]'], [[[1]]]), /Unsupported type in packed mode/);
+    assert.throws(() => encoder.encodePacked([{ type: 'tuple', components: [{ type: 'uint8' }] }], [[1]]), UnsupportedTypeError);
+    assert.throws(() => encoder.encodePacked(['uint8'], [256]), /Value too large for uint8/);
+    assert.throws(() => encoder.encodePacked(['bytes2'], ['0x010203']), InvalidValueError);
+    assert.throws(() => encoder.encodePacked(['uint8[2]'], [[1]]), /Array length mismatch/);
+    assert.throws(() => encoder.encodePacked(['uint8', 'uint8'], [1]), /Type\/value count mismatch/);
+    assert.throws(
+      () => encoder.encodePacked(['address', 'address'], [alice, 'nope']),
+      (error) => error instanceof InvalidValueError && error.path === '1'
+    );
+    console.log('✅ Invalid input rejected\n');
+
+    // Test 5: Codec helpers use the codec's name resolver
+    console.log('Test 5: ABICodec Helpers');
+    const codec = new ABICodec([], { resolveName: name => (name === 'alice.eth' ? alice : null) });
+    assert.strictEqual(codec.encodePacked(['address', 'uint8'], ['alice.eth', 1]), solidityPacked(['address', 'uint8'], [alice, 1]));
+    assert.strictEqual(
+      getCreate2Address(alice, codec.solidityPackedKeccak256(['uint256'], [7]), keccak256('0x00')),
+      getCreate2Address(alice, solidityPackedKeccak256(['uint256'], [7]), keccak256('0x00'))
+    );
+    console.log('✅ Codec helpers work\n');
+
+    console.log('🎉 All packed encoding tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runPackedTests();
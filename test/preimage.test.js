@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { id } = require('ethers');
+const { ABICodec } = require('../index');
+const PreimageDictionary = require('../lib/preimage');
+const Encoder = require('../lib/encoder');
+
+const ensABI = [
+  'function register(string name, address owner, uint256 duration)',
+  'function setText(bytes32 node, string key, string value)',
+  'function quote((address maker, string pair) order)',
+  'event NameRegistered(string indexed name, address indexed owner, uint256 expires)',
+  // ENS public resolver: the key is emitted both hashed and in full
+  'event TextChanged(bytes32 indexed node, string indexed indexedKey, string key)',
+  'event Quoted((address maker, string pair) indexed order)'
+];
+
+const owner = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const node = '0x' + 'ee'.repeat(32);
+
+function runPreimageTests() {
+  console.log('🚀 Starting Preimage Recovery Tests...\n');
+
+  try {
+    const plain = new ABICodec(ensABI);
+    const registered = plain.encodeLog('NameRegistered', ['vitalik', owner, 100]);
+
+    // Test 1: Without a resolver the hash is kept
+    console.log('Test 1: Default Behavior');
+    assert.strictEqual(plain.decodeLog(registered.data, registered.topics).args.name, id('vitalik'));
+    console.log('✅ Hashes kept without a resolver\n');
+
+    // Test 2: User-supplied lookup
+    console.log('Test 2: Resolver Hook');
+    const known = new Map([[id('vitalik'), 'vitalik']]);
+    const seen = [];
+    const resolved = new ABICodec(ensABI, {
+      resolvePreimage: (hash, param) => {
+        seen.push(param.name);
+        return known.get(hash);
+      }
+    });
+    assert.deepStrictEqual(resolved.decodeLog(registered.data, registered.topics).args, {
+      name: { hash: id('vitalik'), value: 'vitalik' },
+      owner,
+      expires: '100'
+    });
+    assert.deepStrictEqual(seen, ['name']);
+    const other = resolved.encodeLog('NameRegistered', ['nick', owner, 100]);
+    assert.strictEqual(resolved.decodeLog(other.data, other.topics).args.name, id('nick'));
+    console.log('✅ Resolver consulted for hashed params\n');
+
+    // Test 3: Learning from calldata
+    console.log('Test 3: Learning from Calldata');
+    const learning = new ABICodec(ensABI, { learnPreimages: true });
+    assert.strictEqual(learning.decodeLog(registered.data, registered.topics).args.name, id('vitalik'));
+    learning.decodeFunction('register', learning.encodeFunction('register', ['vitalik', owner, 31536000]));
+    assert.deepStrictEqual(learning.decodeLog(registered.data, registered.topics).args.name, { hash: id('vitalik'), value: 'vitalik' });
+    console.log('✅ Preimages learned from calldata\n');
+
+    // Test 4: Learning from log data, including later logs of a receipt
+    console.log('Test 4: Learning from Log Data');
+    const receipt = learning.buildReceipt([
+      { event: 'TextChanged', args: [node, 'com.twitter', 'com.twitter'] },
+      { event: 'TextChanged', args: { node, indexedKey: 'url', key: 'url' } }
+    ]);
+    const texts = learning.decodeReceiptLogs(receipt);
+    assert.deepStrictEqual(texts[0].args.indexedKey, { hash: id('com.twitter'), value: 'com.twitter' });
+    assert.deepStrictEqual(texts[1].args.indexedKey, { hash: id('url'), value: 'url' });
+    console.log('✅ Preimages learned from log data\n');
+
+    // Test 5: Struct preimages
+    console.log('Test 5: Struct Preimages');
+    const order = { maker: owner, pair: 'ETH/USDC' };
+    const quoted = learning.encodeLog('Quoted', [order]);
+    learning.decodeFunction('quote', learning.encodeFunction('quote', [order]));
+    assert.deepStrictEqual(learning.decodeLog(quoted.data, quoted.topics).args.order, { hash: quoted.topics[1], value: order });
+    // Strings nested in structs are learned too
+    assert.strictEqual(learning.preimages.get(id('ETH/USDC')), 'ETH/USDC');
+    console.log('✅ Struct preimages recovered\n');
+
+    // Test 6: Dictionary API
+    console.log('Test 6: Dictionary');
+    const dictionary = new PreimageDictionary(new Encoder(), { maxSize: 2 });
+    assert.strictEqual(dictionary.add('string', 'a'), id('a'));
+    dictionary.add('bytes', '0x1234');
+    dictionary.add('string', 'b');
+    assert.strictEqual(dictionary.size, 2);
+    assert.strictEqual(dictionary.has(id('a')), false); // oldest evicted
+    assert.strictEqual(dictionary.get(id('b').toUpperCase().replace('0X', '0x')), 'b');
+    assert.strictEqual(dictionary.add('address', 'not an address'), null);
+    dictionary.clear();
+    assert.strictEqual(dictionary.size, 0);
+    console.log('✅ Dictionary API works\n');
+
+    console.log('🎉 All preimage recovery tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runPreimageTests();
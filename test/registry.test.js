@@ -0,0 +1,126 @@
+const assert = require('assert');
+const { ABICodec, ABIRegistry, InvalidValueError, UnknownFragmentError } = require('../index');
+
+const erc20ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+  'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+const erc721ABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)'
+];
+
+const pairABI = [
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+  'event Sync(uint112 reserve0, uint112 reserve1)'
+];
+
+const routerABI = [
+  'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline) returns (uint256[] amounts)'
+];
+
+const router = '0x7a250d5630b4cf539739df2c5dacb4c659f2488d';
+const pair = '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc';
+const usdc = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const weth = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const nft = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+
+function runRegistryTests() {
+  console.log('🚀 Starting ABI Registry Tests...\n');
+
+  try {
+    const registry = new ABIRegistry();
+    registry.register(router, routerABI);
+    registry.register(pair, pairABI);
+    registry.addFallback(erc20ABI);
+    registry.addFallback(erc721ABI);
+
+    const erc20 = new ABICodec(erc20ABI);
+    const erc721 = new ABICodec(erc721ABI);
+    const pairCodec = new ABICodec(pairABI);
+
+    // A swap touching the router, a pair, two tokens and an NFT
+    const receipt = erc20.buildReceipt([
+      { address: usdc, ...erc20.encodeLog('Transfer', [alice, pair, 1000]) },
+      { address: weth, ...erc20.encodeLog('Transfer', [pair, alice, 5]) },
+      { address: pair, ...pairCodec.encodeLog('Sync', [10, 20]) },
+      { address: pair, ...pairCodec.encodeLog('Swap', [router, 1000, 0, 0, 5, alice]) },
+      { address: nft, ...erc721.encodeLog('Transfer', [alice, pair, 42]) },
+      { address: alice, topics: ['0x' + '11'.repeat(32)], data: '0x' }
+    ]);
+
+    // Test 1: Logs routed by address and topic count
+    console.log('Test 1: Receipt Routing');
+    const decoded = registry.decodeReceiptLogs(receipt);
+    assert.deepStrictEqual(decoded.map(log => `${log.address}:${log.name}`), [
+      `${usdc}:Transfer`,
+      `${weth}:Transfer`,
+      `${pair}:Sync`,
+      `${pair}:Swap`,
+      `${nft}:Transfer`
+    ]);
+    assert.deepStrictEqual(decoded[0].args, { from: alice, to: pair, value: '1000' });
+    assert.deepStrictEqual(decoded[4].args, { from: alice, to: pair, tokenId: '42' });
+    assert.deepStrictEqual(decoded.map(log => log.logIndex), [0, 1, 2, 3, 4]);
+    console.log('✅ Logs routed to the right ABI\n');
+
+    // Test 2: ERC20 vs ERC721 Transfer share topic0
+    console.log('Test 2: Shared topic0');
+    const nftTransfer = erc721.encodeLog('Transfer', [alice, pair, 42]);
+    assert.strictEqual(nftTransfer.topics[0], erc20.getEventSelector('Transfer'));
+    assert.strictEqual(erc20.findLogEvent(nftTransfer.data, nftTransfer.topics), null);
+    assert.strictEqual(erc721.findLogEvent(nftTransfer.data, nftTransfer.topics).inputs[2].name, 'tokenId');
+    assert.deepStrictEqual(registry.decodeLog({ address: usdc, ...nftTransfer }).args.tokenId, '42');
+    console.log('✅ Shared topic0 disambiguated by topic count\n');
+
+    // Test 3: Address-specific ABIs take precedence over fallbacks
+    console.log('Test 3: Address Precedence');
+    registry.register(usdc.toUpperCase().replace('0X', '0x'), ['event Transfer(address indexed src, address indexed dst, uint256 wad)']);
+    assert.deepStrictEqual(registry.decodeLog(receipt.logs[0]).args, { src: alice, dst: pair, wad: '1000' });
+    assert.deepStrictEqual(registry.decodeLog(receipt.logs[1]).args, { from: pair, to: alice, value: '5' });
+    assert.ok(registry.unregister(usdc));
+    assert.strictEqual(registry.getCodec(usdc), null);
+    assert.deepStrictEqual(registry.decodeLog(receipt.logs[0]).args, { from: alice, to: pair, value: '1000' });
+    console.log('✅ Address ABIs take precedence\n');
+
+    // Test 4: Calls
+    console.log('Test 4: Call Routing');
+    const routerCodec = registry.getCodec(router);
+    const swapCall = registry.decodeCall({
+      to: router,
+      input: routerCodec.encodeFunction('swapExactTokensForTokens', [1000, 4, [usdc, weth], alice, 1700000000])
+    });
+    assert.strictEqual(swapCall.name, 'swapExactTokensForTokens');
+    assert.deepStrictEqual(swapCall.args.path, [usdc, weth]);
+    const transferCall = registry.decodeCall({ to: usdc, data: erc20.encodeFunction('transfer', [alice, 7]) });
+    assert.deepStrictEqual(transferCall, {
+      address: usdc,
+      name: 'transfer',
+      signature: 'transfer(address,uint256)',
+      selector: '0xa9059cbb',
+      args: { to: alice, amount: '7' }
+    });
+    console.log('✅ Calls routed\n');
+
+    // Test 5: Unknown input
+    console.log('Test 5: Unknown Input');
+    assert.throws(() => registry.decodeLog(receipt.logs[5]), UnknownFragmentError);
+    assert.throws(() => registry.decodeCall({ to: router, data: '0xdeadbeef' }), UnknownFragmentError);
+    assert.throws(() => registry.register('0x1234', erc20ABI), InvalidValueError);
+    assert.strictEqual(registry.register(nft, erc721), erc721);
+    console.log('✅ Unknown input handled\n');
+
+    console.log('🎉 All ABI registry tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runRegistryTests();
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const { ABICodec, ABIRegistry, DecodingError, AmbiguousOverloadError } = require('../index');
+
+const tokenABI = [
+  'event Transfer(address indexed from, address indexed to, uint256 value)',
+  'event Memo(address indexed from, string text)',
+  'event Ping(address indexed a, address indexed b) anonymous',
+  'event Pong(address indexed a, uint256 indexed b) anonymous'
+];
+
+const token = '0xa0b86a33e6417c8c2b60c9b6d2b1f1d3f4e5f6a7';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+function runReportTests() {
+  console.log('🚀 Starting Receipt Report Tests...\n');
+
+  try {
+    const codec = new ABICodec(tokenABI);
+    const transfer = codec.encodeLog('Transfer', [alice, bob, 5]);
+    const memo = codec.encodeLog('Memo', [alice, 'gm']);
+    const unknownTopics = ['0x' + '11'.repeat(32)];
+
+    const receipt = codec.buildReceipt([
+      { address: token, ...transfer },
+      { address: bob, topics: unknownTopics, data: '0x' },
+      // Memo with its string offset pointing past the data
+      { address: token, topics: memo.topics, data: '0x' + '00'.repeat(31) + 'ff' },
+      { address: token, ...codec.encodeLog('Ping', [alice, bob]) },
+      { address: token, topics: null, data: '0x' }
+    ]);
+
+    // Test 1: Default stays an array
+    console.log('Test 1: Default Result');
+    const decoded = codec.decodeReceiptLogs(receipt);
+    assert.ok(Array.isArray(decoded));
+    assert.deepStrictEqual(decoded.map(log => log.name), ['Transfer']);
+    console.log('✅ Array result kept by default\n');
+
+    // Test 2: Detailed result
+    console.log('Test 2: Detailed Result');
+    const report = codec.decodeReceiptLogs(receipt, { detailed: true });
+    assert.deepStrictEqual(report.decoded, decoded);
+    assert.deepStrictEqual(
+      report.unknown.map(({ logIndex, address, topics, data }) => ({ logIndex, address, topics, data })),
+      [{ logIndex: 1, address: bob, topics: unknownTopics, data: '0x' }]
+    );
+    assert.deepStrictEqual(report.failed.map(log => log.logIndex), [2, 3, 4]);
+    assert.ok(report.failed[0].error instanceof DecodingError);
+    assert.strictEqual(report.failed[0].error.fragment.name, 'Memo');
+    assert.strictEqual(report.failed[0].address, token);
+    // Ping and Pong both fit the anonymous log
+    assert.ok(report.failed[1].error instanceof AmbiguousOverloadError);
+    assert.match(report.failed[2].error.message, /no topics array/);
+    assert.deepStrictEqual(report.counts, { total: 5, decoded: 1, unknown: 1, failed: 3 });
+    console.log('Counts:', report.counts);
+    console.log('✅ Unknown and failed logs reported\n');
+
+    // Test 3: Multiple receipts and empty input
+    console.log('Test 3: Multiple Receipts');
+    const merged = codec.decodeMultipleReceipts([receipt, receipt, null], { detailed: true });
+    assert.deepStrictEqual(merged.counts, { total: 10, decoded: 2, unknown: 2, failed: 6 });
+    assert.deepStrictEqual(codec.decodeReceiptLogs(null, { detailed: true }), {
+      decoded: [],
+      unknown: [],
+      failed: [],
+      counts: { total: 0, decoded: 0, unknown: 0, failed: 0 }
+    });
+    assert.strictEqual(codec.decodeMultipleReceipts([receipt, receipt]).length, 2);
+    console.log('✅ Results merged across receipts\n');
+
+    // Test 4: Logs that only share topic0 with an ABI event
+    console.log('Test 4: Mismatched Shapes');
+    const erc20 = ABICodec.fromStandard('erc20');
+    const nftTransfer = ABICodec.fromStandard('erc721').encodeLog('Transfer', [alice, bob, 42]);
+    const mismatched = erc20.decodeReceiptLogs(erc20.buildReceipt([
+      { address: token, ...nftTransfer },
+      { address: token, topics: transfer.topics, data: '0x' }
+    ]), { detailed: true });
+    assert.deepStrictEqual(mismatched.counts, { total: 2, decoded: 0, unknown: 1, failed: 1 });
+    assert.deepStrictEqual(mismatched.unknown[0].topics, nftTransfer.topics);
+    assert.ok(mismatched.failed[0].error instanceof DecodingError);
+    assert.match(mismatched.failed[0].error.message, /no data/);
+    console.log('✅ Topic count and missing data reported\n');
+
+    // Test 5: Registry reports the same way
+    console.log('Test 4: Registry');
+    const registry = new ABIRegistry();
+    registry.register(token, tokenABI);
+    const registryReport = registry.decodeReceiptLogs(receipt, { detailed: true });
+    assert.deepStrictEqual(registryReport.counts, { total: 5, decoded: 1, unknown: 1, failed: 3 });
+    console.log('✅ Registry reports undecodable logs\n');
+
+    console.log('🎉 All receipt report tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runReportTests();
@@ -0,0 +1,115 @@
+const assert = require('assert');
+const { Interface } = require('ethers');
+const { ABICodec, UnknownFragmentError } = require('../index');
+
+const vaultABI = [
+  {
+    "type": "function",
+    "name": "withdraw",
+    "inputs": [{"name": "amount", "type": "uint256"}],
+    "outputs": []
+  },
+  {
+    "type": "error",
+    "name": "InsufficientBalance",
+    "inputs": [
+      {"name": "available", "type": "uint256"},
+      {"name": "required", "type": "uint256"}
+    ]
+  },
+  {
+    "type": "error",
+    "name": "Unauthorized",
+    "inputs": []
+  },
+  {
+    "type": "error",
+    "name": "BadOrder",
+    "inputs": [
+      {
+        "name": "order",
+        "type": "tuple",
+        "components": [
+          {"name": "maker", "type": "address"},
+          {"name": "reason", "type": "string"}
+        ]
+      }
+    ]
+  }
+];
+
+const maker = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+
+function runRevertTests() {
+  console.log('🚀 Starting Revert Decoding Tests...\n');
+
+  try {
+    const codec = new ABICodec(vaultABI);
+    const iface = new Interface(vaultABI);
+
+    // Test 1: Custom errors
+    console.log('Test 1: Custom Error Decoding');
+    const revertData = iface.encodeErrorResult('InsufficientBalance', [100, 250]);
+    const decoded = codec.decodeError(revertData);
+    assert.deepStrictEqual(decoded, {
+      name: 'InsufficientBalance',
+      signature: 'InsufficientBalance(uint256,uint256)',
+      selector: revertData.slice(0, 10),
+      args: { available: '100', required: '250' }
+    });
+    assert.deepStrictEqual(codec.decodeError(iface.encodeErrorResult('Unauthorized', [])).args, {});
+    console.log('Decoded error:', decoded);
+    console.log('✅ Custom errors decoded\n');
+
+    // Test 2: Error(string)
+    console.log('Test 2: Error(string) Revert Reason');
+    const reason = codec.decodeError(
+      '0x08c379a0' +
+      '0000000000000000000000000000000000000000000000000000000000000020' +
+      '000000000000000000000000000000000000000000000000000000000000001a' +
+      '4e6f7420656e6f7567682045746865722070726f76696465642e000000000000'
+    );
+    assert.strictEqual(reason.name, 'Error');
+    assert.strictEqual(reason.args.message, 'Not enough Ether provided.');
+    console.log('✅ Revert reason decoded\n');
+
+    // Test 3: Panic(uint256)
+    console.log('Test 3: Panic Codes');
+    const panic = codec.decodeError('0x4e487b71' + (0x11).toString(16).padStart(64, '0'));
+    assert.strictEqual(panic.name, 'Panic');
+    assert.strictEqual(panic.args.code, '17');
+    assert.strictEqual(panic.description, 'Arithmetic operation overflowed or underflowed');
+    assert.match(codec.decodeError(codec.encodeError('Panic', [0x99])).description, /Unknown panic code 0x99/);
+    console.log('✅ Panic codes described\n');
+
+    // Test 4: encodeError builds mocks matching ethers
+    console.log('Test 4: Error Encoding');
+    assert.strictEqual(codec.encodeError('InsufficientBalance', [100, 250]), revertData);
+    assert.strictEqual(
+      codec.encodeError('BadOrder', [{ maker, reason: 'expired' }]),
+      iface.encodeErrorResult('BadOrder', [[maker, 'expired']])
+    );
+    assert.strictEqual(codec.encodeError('Error', ['boom']), iface.encodeErrorResult('Error', ['boom']));
+    assert.deepStrictEqual(
+      codec.decodeError(codec.encodeError('BadOrder((address,string))', [[maker, 'expired']])).args,
+      { order: { maker, reason: 'expired' } }
+    );
+    console.log('✅ Errors encoded\n');
+
+    // Test 5: Empty and unknown revert data
+    console.log('Test 5: Empty and Unknown Revert Data');
+    assert.strictEqual(codec.decodeError('0x'), null);
+    assert.throws(() => codec.decodeError('0xdeadbeef'), UnknownFragmentError);
+    console.log('✅ Empty and unknown revert data handled\n');
+
+    console.log('🎉 All revert decoding tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runRevertTests();
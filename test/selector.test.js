@@ -0,0 +1,131 @@
+const assert = require('assert');
+const { ABICodec, InvalidSignatureError } = require('../index');
+const { getCanonicalType, getFunctionSignature } = require('../lib/utils');
+
+const spentItem = [
+  {"name": "itemType", "type": "uint8"},
+  {"name": "token", "type": "address"},
+  {"name": "identifier", "type": "uint256"},
+  {"name": "amount", "type": "uint256"}
+];
+
+const structABI = [
+  {
+    "type": "function",
+    "name": "exactInputSingle",
+    "inputs": [
+      {
+        "name": "params",
+        "type": "tuple",
+        "components": [
+          {"name": "tokenIn", "type": "address"},
+          {"name": "tokenOut", "type": "address"},
+          {"name": "fee", "type": "uint24"},
+          {"name": "recipient", "type": "address"},
+          {"name": "deadline", "type": "uint256"},
+          {"name": "amountIn", "type": "uint256"},
+          {"name": "amountOutMinimum", "type": "uint256"},
+          {"name": "sqrtPriceLimitX96", "type": "uint160"}
+        ]
+      }
+    ],
+    "outputs": [{"name": "amountOut", "type": "uint256"}]
+  },
+  {
+    "type": "function",
+    "name": "aggregate3",
+    "inputs": [
+      {
+        "name": "calls",
+        "type": "tuple[]",
+        "components": [
+          {"name": "target", "type": "address"},
+          {"name": "allowFailure", "type": "bool"},
+          {"name": "callData", "type": "bytes"}
+        ]
+      }
+    ],
+    "outputs": [
+      {
+        "name": "returnData",
+        "type": "tuple[]",
+        "components": [
+          {"name": "success", "type": "bool"},
+          {"name": "returnData", "type": "bytes"}
+        ]
+      }
+    ]
+  },
+  {
+    "type": "event",
+    "name": "OrderFulfilled",
+    "inputs": [
+      {"name": "orderHash", "type": "bytes32", "indexed": false},
+      {"name": "offerer", "type": "address", "indexed": true},
+      {"name": "zone", "type": "address", "indexed": true},
+      {"name": "recipient", "type": "address", "indexed": false},
+      {"name": "offer", "type": "tuple[]", "indexed": false, "components": spentItem},
+      {
+        "name": "consideration",
+        "type": "tuple[]",
+        "indexed": false,
+        "components": [...spentItem, {"name": "recipient", "type": "address"}]
+      }
+    ]
+  }
+];
+
+function runSelectorTests() {
+  console.log('🚀 Starting Canonical Signature Tests...\n');
+
+  try {
+    // Test 1: Canonical tuple types
+    console.log('Test 1: Canonical Tuple Types');
+    assert.strictEqual(getCanonicalType(structABI[1].inputs[0]), '(address,bool,bytes)[]');
+    assert.strictEqual(
+      getCanonicalType({ type: 'tuple[2][]', components: [{ type: 'uint' }, { type: 'tuple', components: [{ type: 'int[]' }] }] }),
+      '(uint256,(int256[]))[2][]'
+    );
+    assert.strictEqual(getCanonicalType({ type: 'tuple(address maker,uint amount)[]' }), '(address,uint256)[]');
+    assert.strictEqual(getFunctionSignature({ name: 'fill', inputs: [{ type: 'tuple[]', components: [{ type: 'address' }, { type: 'uint256' }] }] }), 'fill((address,uint256)[])');
+    assert.throws(() => getCanonicalType({ name: 'order', type: 'tuple' }), InvalidSignatureError);
+    assert.throws(() => getFunctionSignature({ name: 'fill', inputs: [{ type: 'tuple[]' }] }), /Tuple has no components/);
+    console.log('✅ Tuple types expanded\n');
+
+    // Test 2: Well-known selectors of struct-taking functions
+    console.log('Test 2: Well-known Function Selectors');
+    const codec = new ABICodec(structABI);
+    assert.strictEqual(codec.getFunctionSelector('exactInputSingle'), '0x414bf389'); // Uniswap V3 SwapRouter
+    assert.strictEqual(codec.getFunctionSelector('aggregate3'), '0x82ad56cb'); // Multicall3
+    assert.strictEqual(codec.getFunctionSelector('aggregate3((address,bool,bytes)[])'), '0x82ad56cb');
+    console.log('✅ Function selectors match\n');
+
+    // Test 3: Well-known topic0 of struct-carrying events
+    console.log('Test 3: Well-known Event Topics');
+    // Seaport OrderFulfilled
+    assert.strictEqual(
+      codec.getEventSelector('OrderFulfilled'),
+      '0x9d9af8e38d66c62e2c12f0225249fd9d721c54b83f48d9352c97c6cacdcb6f31'
+    );
+    assert.ok(codec.getKnownEventTopics().includes('0x9d9af8e38d66c62e2c12f0225249fd9d721c54b83f48d9352c97c6cacdcb6f31'));
+    console.log('✅ Event topics match\n');
+
+    // Test 4: Human-readable struct signatures hash the same way
+    console.log('Test 4: Human-readable Struct Signatures');
+    const human = new ABICodec([
+      'function fulfillBasicOrder((address considerationToken, uint256 considerationIdentifier, uint256 considerationAmount, address offerer, address zone, address offerToken, uint256 offerIdentifier, uint256 offerAmount, uint8 basicOrderType, uint256 startTime, uint256 endTime, bytes32 zoneHash, uint256 salt, bytes32 offererConduitKey, bytes32 fulfillerConduitKey, uint256 totalOriginalAdditionalRecipients, (uint256 amount, address recipient)[] additionalRecipients, bytes signature) parameters) payable returns (bool fulfilled)'
+    ]);
+    assert.strictEqual(human.getFunctionSelector('fulfillBasicOrder'), '0xfb0f3ee1'); // Seaport
+    console.log('✅ Human-readable struct selectors match\n');
+
+    console.log('🎉 All canonical signature tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runSelectorTests();
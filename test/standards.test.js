@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { Interface } = require('ethers');
+const { ABICodec, detectInterfaces, getStandardABI, InvalidValueError } = require('../index');
+const { extractSelectors } = require('../lib/standards');
+
+// Minimal Solidity-style dispatcher: DUP1 PUSHn <selector> EQ PUSH2 <dest> JUMPI
+function buildDispatcher(selectors) {
+  let code = '0x6080604052600436106100';
+  for (const selector of selectors) {
+    const value = selector.slice(2).replace(/^00/, '');
+    const push = (0x5f + value.length / 2).toString(16);
+    code += `80${push}${value}14610100` + '57';
+  }
+  return code + '5b600080fd';
+}
+
+function selectorsOf(name) {
+  return new Interface(getStandardABI(name)).fragments
+    .filter(fragment => fragment.type === 'function')
+    .map(fragment => fragment.selector);
+}
+
+function runStandardsTests() {
+  console.log('🚀 Starting Standard Interface Tests...\n');
+
+  try {
+    // Test 1: Bundled ABIs
+    console.log('Test 1: Bundled ABIs');
+    const erc20 = ABICodec.fromStandard('erc20');
+    assert.strictEqual(erc20.getFunctionSelector('transfer'), '0xa9059cbb');
+    assert.strictEqual(erc20.getEventSelector('Transfer'), '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef');
+    assert.strictEqual(ABICodec.fromStandard('ERC-721').getFunctionSelector('safeTransferFrom(address,address,uint256)'), '0x42842e0e');
+    assert.strictEqual(ABICodec.fromStandard('erc1155').getFunctionSelector('safeBatchTransferFrom'), '0x2eb2c2d6');
+    assert.strictEqual(ABICodec.fromStandard('erc4626').getFunctionSelector('deposit'), '0x6e553f65');
+    assert.strictEqual(ABICodec.fromStandard('weth').getFunctionSelector('deposit'), '0xd0e30db0');
+    assert.strictEqual(ABICodec.fromStandard('uniswap_v2_pair').getFunctionSelector('getReserves'), '0x0902f1ac');
+    assert.strictEqual(ABICodec.fromStandard('UniswapV3Pool').getFunctionSelector('slot0'), '0x3850c7bd');
+    assert.strictEqual(ABICodec.fromStandard('multicall3').getFunctionSelector('aggregate3'), '0x82ad56cb');
+    assert.strictEqual(ABICodec.fromStandard('erc20', { strict: true }).options.strict, true);
+    assert.throws(() => ABICodec.fromStandard('erc9999'), InvalidValueError);
+    console.log('✅ Standard ABIs bundled\n');
+
+    // Test 2: Detection from selectors
+    console.log('Test 2: Detection from Selectors');
+    const tokenSelectors = selectorsOf('erc20').filter(selector => selector !== '0x313ce567'); // no decimals()
+    assert.deepStrictEqual(detectInterfaces(tokenSelectors), [{ standard: 'erc20', score: 1, missing: [] }]);
+    const pairSelectors = selectorsOf('uniswapV2Pair');
+    assert.deepStrictEqual(detectInterfaces(new Set(pairSelectors)).map(result => result.standard), ['erc20', 'uniswapv2pair']);
+    const partial = detectInterfaces(tokenSelectors.filter(selector => selector !== '0xdd62ed3e'), { threshold: 0.8 });
+    assert.strictEqual(partial[0].standard, 'erc20');
+    assert.deepStrictEqual(partial[0].missing, ['allowance(address,address)']);
+    assert.deepStrictEqual(detectInterfaces(['0xdeadbeef']), []);
+    console.log('✅ Interfaces detected from selectors\n');
+
+    // Test 3: Detection from bytecode
+    console.log('Test 3: Detection from Bytecode');
+    // ERC1155 balanceOf is 0x00fdd58e, pushed with PUSH3
+    const bytecode = buildDispatcher(selectorsOf('erc1155'));
+    assert.ok(extractSelectors(bytecode).has('0x00fdd58e'));
+    assert.deepStrictEqual(detectInterfaces(bytecode).map(result => result.standard), ['erc1155']);
+    assert.deepStrictEqual(detectInterfaces(Buffer.from(buildDispatcher(selectorsOf('weth')).slice(2), 'hex')).map(result => result.standard), ['erc20', 'weth']);
+    // PUSH data is skipped, so selectors inside a PUSH32 constant are not seen
+    assert.strictEqual(extractSelectors('0x7f' + '63a9059cbb'.padEnd(64, '0')).size, 0);
+    assert.throws(() => detectInterfaces(42), InvalidValueError);
+    console.log('✅ Interfaces detected from bytecode\n');
+
+    console.log('🎉 All standard interface tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runStandardsTests();
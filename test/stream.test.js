@@ -0,0 +1,146 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const stream = require('stream');
+const { Readable, PassThrough } = stream;
+const pipeline = util.promisify(stream.pipeline);
+const {
+  ABICodec,
+  ABIRegistry,
+  decodeLogStream,
+  createDecodeStream,
+  readJSONL,
+  writeJSONL,
+  InvalidValueError,
+  DecodingError
+} = require('../index');
+
+const token = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+
+const codec = ABICodec.fromStandard('erc20');
+
+// One receipt per block with `count` Transfer logs and an unknown log
+function makeReceipt(blockNumber, count = 2) {
+  const logs = [];
+  for (let i = 0; i < count; i++) {
+    logs.push({ address: token, ...codec.encodeLog('Transfer', [alice, bob, blockNumber * 10 + i]) });
+  }
+  logs.push({ address: token, topics: ['0x' + '33'.repeat(32)], data: '0x' });
+  return codec.buildReceipt(logs, { blockNumber, transactionHash: '0x' + blockNumber.toString(16).padStart(64, '0') });
+}
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+async function runStreamTests() {
+  console.log('🚀 Starting Streaming Decoder Tests...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'abi-codec-stream-'));
+
+  try {
+    const receipts = [makeReceipt(1), makeReceipt(2, 1), makeReceipt(3, 0)];
+
+    // Test 1: Async iterator matches decodeMultipleReceipts
+    console.log('Test 1: Async Iterator');
+    const streamed = await collect(decodeLogStream(codec, receipts));
+    assert.deepStrictEqual(streamed, codec.decodeMultipleReceipts(receipts));
+    assert.deepStrictEqual(streamed.map(log => log.args.value), ['10', '11', '20']);
+    const reports = await collect(decodeLogStream(codec, receipts, { detailed: true }));
+    assert.deepStrictEqual(reports.map(report => report.counts), [
+      { total: 3, decoded: 2, unknown: 1, failed: 0 },
+      { total: 2, decoded: 1, unknown: 1, failed: 0 },
+      { total: 1, decoded: 0, unknown: 1, failed: 0 }
+    ]);
+    console.log('✅ Receipts decoded lazily\n');
+
+    // Test 2: Raw logs from eth_getLogs and registries
+    console.log('Test 2: Raw Logs');
+    const rawLogs = receipts[0].logs;
+    const fromLogs = await collect(decodeLogStream(codec, rawLogs));
+    assert.deepStrictEqual(fromLogs.map(log => [log.name, log.logIndex, log.blockNumber]), [['Transfer', 0, 1], ['Transfer', 1, 1]]);
+    const registry = new ABIRegistry();
+    registry.addFallback(codec);
+    assert.deepStrictEqual(await collect(decodeLogStream(registry, receipts)), streamed);
+    await assert.rejects(collect(decodeLogStream(codec, [{ hash: '0x' }])), InvalidValueError);
+    console.log('✅ Raw logs decoded\n');
+
+    // Test 3: Transform stream applies backpressure
+    console.log('Test 3: Transform Backpressure');
+    let produced = 0;
+    const source = Readable.from((function* () {
+      for (let block = 1; block <= 200; block++) {
+        produced++;
+        yield makeReceipt(block);
+      }
+    })(), { highWaterMark: 1 });
+    const decoder = source.pipe(createDecodeStream(codec, { highWaterMark: 4 }));
+    let consumed = 0;
+    let maxAhead = 0;
+    for await (const log of decoder) {
+      assert.strictEqual(log.name, 'Transfer');
+      consumed++;
+      maxAhead = Math.max(maxAhead, produced - consumed / 2);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.strictEqual(consumed, 400);
+    assert.ok(maxAhead < 20, `source ran ${maxAhead} receipts ahead of the consumer`);
+    console.log(`Source stayed at most ${maxAhead} receipts ahead`);
+    console.log('✅ Backpressure applied\n');
+
+    // Test 4: JSONL round trip through files
+    console.log('Test 4: JSONL Files');
+    const inputFile = path.join(tmpDir, 'receipts.jsonl');
+    const outputFile = path.join(tmpDir, 'logs.jsonl');
+    fs.writeFileSync(inputFile, receipts.map(receipt => JSON.stringify(receipt)).join('\n') + '\n\n');
+
+    const output = fs.createWriteStream(outputFile);
+    const written = await writeJSONL(output, decodeLogStream(codec, readJSONL(fs.createReadStream(inputFile))));
+    output.end();
+    await new Promise(resolve => output.on('finish', resolve));
+    assert.strictEqual(written, 3);
+    assert.deepStrictEqual(await collect(readJSONL(fs.createReadStream(outputFile))), streamed);
+
+    await pipeline(
+      Readable.from(readJSONL(fs.createReadStream(inputFile))),
+      createDecodeStream(codec),
+      async function* (logs) {
+        for await (const log of logs) yield JSON.stringify(log) + '\n';
+      },
+      fs.createWriteStream(outputFile)
+    );
+    assert.deepStrictEqual(await collect(readJSONL(fs.createReadStream(outputFile))), streamed);
+    console.log('✅ JSONL files decoded\n');
+
+    // Test 5: JSONL edge cases
+    console.log('Test 5: JSONL Edge Cases');
+    const sink = new PassThrough();
+    const chunks = [];
+    sink.on('data', chunk => chunks.push(chunk));
+    assert.strictEqual(await writeJSONL(sink, [{ amount: 10n }, [1, 2]]), 2);
+    assert.strictEqual(Buffer.concat(chunks).toString(), '{"amount":"10"}\n[1,2]\n');
+    await assert.rejects(
+      collect(readJSONL(Readable.from(['{"a":1}\r\n', '{"a":'], { objectMode: false }))),
+      (error) => error instanceof DecodingError && /line 2/.test(error.message)
+    );
+    console.log('✅ JSONL edge cases handled\n');
+
+    console.log('🎉 All streaming decoder tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Run the tests
+runStreamTests();
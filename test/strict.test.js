@@ -0,0 +1,150 @@
+const assert = require('assert');
+const { AbiCoder } = require('ethers');
+const { ABICodec, DecodingError } = require('../index');
+const Decoder = require('../lib/decoder');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+
+const orderParam = {
+  "name": "order",
+  "type": "tuple",
+  "components": [
+    {"name": "maker", "type": "address"},
+    {
+      "name": "items",
+      "type": "tuple[]",
+      "components": [
+        {"name": "token", "type": "address"},
+        {"name": "amount", "type": "uint256"},
+        {"name": "memo", "type": "string"}
+      ]
+    }
+  ]
+};
+
+const testABI = [
+  {
+    "type": "function",
+    "name": "transfer",
+    "inputs": [
+      {"name": "to", "type": "address"},
+      {"name": "amount", "type": "uint256"}
+    ],
+    "outputs": [{"name": "success", "type": "bool"}]
+  }
+];
+
+// Expect a DecodingError whose path and byte position match
+function assertDecodingError(fn, { path, offset, message }) {
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof DecodingError, `Expected DecodingError, got ${error.name}: ${error.message}`);
+    assert.strictEqual(error.code, 'MALFORMED_DATA');
+    if (path !== undefined) assert.strictEqual(error.path, path);
+    if (offset !== undefined) assert.strictEqual(error.offset, offset);
+    if (message) assert.match(error.message, message);
+    return true;
+  });
+}
+
+function runStrictTests() {
+  console.log('🚀 Starting Strict Decoding Tests...\n');
+
+  try {
+    const strict = new Decoder({ strict: true });
+    const lenient = new Decoder();
+
+    // Test 1: Canonical data decodes identically in strict mode
+    console.log('Test 1: Canonical Data');
+    const orderData = abiCoder.encode(['tuple(address,tuple(address,uint256,string)[])', 'bool'], [
+      ['0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6', [
+        ['0x742d35cc6634c0532925a3b8d8e9eed89b7a6de7', 5, 'first'],
+        ['0x742d35cc6634c0532925a3b8d8e9eed89b7a6de8', 6, 'second']
+      ]],
+      true
+    ]);
+    assert.deepStrictEqual(
+      strict.decodeParameters([orderParam, 'bool'], orderData),
+      lenient.decodeParameters([orderParam, 'bool'], orderData)
+    );
+    console.log('✅ Canonical data accepted\n');
+
+    // Test 2: Truncated data
+    console.log('Test 2: Truncated Data');
+    assertDecodingError(() => strict.decodeParameters(['uint256', 'uint256'], '0x' + word(1) + word(2).slice(0, 40)), {
+      path: '1', offset: 32, message: /Data too short/
+    });
+    assertDecodingError(() => strict.decodeParameters(['uint256'], '0x'), { message: /Empty data/ });
+    // Malformed hex is not silently cut short
+    assert.deepStrictEqual(lenient.decodeParameters(['uint256'], '0x' + word(1) + 'f'), ['1']);
+    assertDecodingError(() => strict.decodeParameters(['uint256'], '0x' + word(1) + 'f'), { offset: 0, message: /even-length hex/ });
+    assertDecodingError(() => strict.decodeParameters(['uint256'], '0x' + word(1) + 'zz' + word(1)), { message: /even-length hex/ });
+    assertDecodingError(() => strict.decodeParameters(['uint256'], word(1)), { message: /even-length hex/ });
+    console.log('✅ Truncated data rejected\n');
+
+    // Test 3: Dirty high bits and invalid bools
+    console.log('Test 3: Non-canonical Words');
+    const dirtyAddress = '0x' + 'ff' + word('0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6').slice(2);
+    assertDecodingError(() => strict.decodeParameters([{ name: 'to', type: 'address' }], dirtyAddress), {
+      path: 'to', offset: 0, message: /Non-zero padding/
+    });
+    assert.strictEqual(lenient.decodeParameters(['address'], dirtyAddress)[0], '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6');
+    assertDecodingError(() => strict.decodeParameters(['bool'], '0x' + word(2)), { offset: 31, message: /Invalid bool/ });
+    assertDecodingError(() => strict.decodeParameters(['uint8'], '0x' + word(256)), { message: /too large for uint8/ });
+    assertDecodingError(() => strict.decodeParameters(['uint32'], '0x1' + word(1).slice(1)), { message: /too large for uint32/ });
+    assertDecodingError(() => strict.decodeParameters(['bytes4'], '0x' + 'deadbeef' + '01'.padStart(56, '0')), { offset: 31 });
+    console.log('✅ Dirty words rejected\n');
+
+    // Test 4: Out-of-range offsets and lengths
+    console.log('Test 4: Out-of-range Offsets');
+    assertDecodingError(() => strict.decodeParameters(['bytes'], '0x' + word(4096)), { path: '0', offset: 0, message: /out of bounds/ });
+    assertDecodingError(() => strict.decodeParameters(['bytes'], '0x' + word(32) + word(40) + 'ab'.repeat(32)), { path: '0', offset: 64 });
+    console.log('✅ Out-of-range offsets rejected\n');
+
+    // Test 5: Looping and overlapping offsets
+    console.log('Test 5: Looping and Overlapping Offsets');
+    // Offset pointing back into the head
+    assertDecodingError(() => strict.decodeParameters(['bytes'], '0x' + word(0) + word(0)), { path: '0', message: /overlaps/ });
+    // Two strings sharing the same tail
+    const shared = '0x' + word(64) + word(64) + word(3) + '616263'.padEnd(64, '0');
+    assert.deepStrictEqual(lenient.decodeParameters(['string', 'string'], shared), ['abc', 'abc']);
+    assertDecodingError(() => strict.decodeParameters(['string', 'string'], shared), { path: '1', offset: 32, message: /overlaps/ });
+    console.log('✅ Looping and overlapping offsets rejected\n');
+
+    // Test 6: Nested parameter paths
+    console.log('Test 6: Nested Parameter Paths');
+    const corrupted = Buffer.from(orderData.slice(2), 'hex');
+    // items[1].memo padding lives in the last word
+    corrupted[corrupted.length - 1] = 0x01;
+    assertDecodingError(() => strict.decodeParameters([orderParam, 'bool'], '0x' + corrupted.toString('hex')), {
+      path: 'order.items[1].memo', offset: corrupted.length - 1
+    });
+    console.log('✅ Errors report parameter paths\n');
+
+    // Test 7: Strict ABICodec
+    console.log('Test 7: Strict ABICodec');
+    const codec = new ABICodec(testABI, { strict: true });
+    const calldata = codec.encodeFunction('transfer', ['0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6', 1]);
+    assert.deepStrictEqual(codec.decodeFunction('transfer', calldata), ['0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6', '1']);
+    assertDecodingError(() => codec.decodeFunction('transfer', '0x095ea7b3' + calldata.slice(10)), { message: /Selector mismatch/ });
+    assertDecodingError(() => codec.decodeFunction('transfer', calldata.slice(0, -2)), { path: 'amount' });
+    const transferEvent = { name: 'Transfer', inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'value', type: 'uint256' }] };
+    const transferTopics = ['0x' + word(1), '0x' + word('0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6')];
+    assert.strictEqual(strict.decodeLog(transferEvent, '0x' + word(5), transferTopics).args.value, '5');
+    assertDecodingError(() => strict.decodeLog(transferEvent, '0x' + word(5), [transferTopics[0], transferTopics[1].slice(0, -2)]), {
+      path: 'topics[1]', message: /not 32 bytes/
+    });
+    console.log('✅ Strict ABICodec validated calldata\n');
+
+    console.log('🎉 All strict decoding tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runStrictTests();
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { ABICodec, extractTransfers } = require('../index');
+
+const weth = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const usdc = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const nft = '0xbc4ca0eda7647a8ab7c2061c2e118a18a936f13d';
+const items = '0x76be3b62873462d2142405439777e971754e8e77';
+const pair = '0xb4e16d0168e52d35cacd2c6185b44281ec28c9dc';
+const alice = '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6';
+const bob = '0x8ba1f109551bd432803012645ac136ddd64dba72';
+const zero = '0x0000000000000000000000000000000000000000';
+const swapTx = '0x' + '11'.repeat(32);
+const nftTx = '0x' + '22'.repeat(32);
+
+function runTransfersTests() {
+  console.log('🚀 Starting Transfer Extraction Tests...\n');
+
+  try {
+    const erc20 = ABICodec.fromStandard('erc20');
+    const erc721 = ABICodec.fromStandard('erc721');
+    const erc1155 = ABICodec.fromStandard('erc1155');
+    const wethCodec = ABICodec.fromStandard('weth');
+
+    // Alice wraps 1 ETH and swaps it for USDC
+    const swapReceipt = erc20.buildReceipt([
+      { address: weth, ...wethCodec.encodeLog('Deposit', [alice, 1000]) },
+      { address: weth, ...erc20.encodeLog('Transfer', [alice, pair, 1000]) },
+      { address: usdc, ...erc20.encodeLog('Transfer', [pair, alice, 3500]) },
+      { address: pair, topics: ['0x' + '33'.repeat(32)], data: '0x' },
+      { address: weth, ...erc20.encodeLog('Approval', [alice, pair, 5]) }
+    ], { transactionHash: swapTx, logIndex: 10 });
+
+    // Bob receives an NFT and a batch of items, and unwraps WETH
+    const nftReceipt = erc20.buildReceipt([
+      { address: nft, ...erc721.encodeLog('Transfer', [alice, bob, 42]) },
+      { address: items, ...erc1155.encodeLog('TransferBatch', [alice, alice, bob, [1, 2], [10, 20]]) },
+      { address: items, ...erc1155.encodeLog('TransferSingle', [bob, bob, alice, 2, 5]) },
+      { address: weth, ...wethCodec.encodeLog('Withdrawal', [bob, 7]) }
+    ], { transactionHash: nftTx });
+
+    // Test 1: Normalized transfer rows
+    console.log('Test 1: Transfer Rows');
+    const { transfers } = extractTransfers([swapReceipt, nftReceipt]);
+    assert.deepStrictEqual(transfers.slice(0, 3), [
+      { token: weth, standard: 'weth', from: zero, to: alice, tokenId: null, amount: '1000', logIndex: 10, transactionHash: swapTx },
+      { token: weth, standard: 'erc20', from: alice, to: pair, tokenId: null, amount: '1000', logIndex: 11, transactionHash: swapTx },
+      { token: usdc, standard: 'erc20', from: pair, to: alice, tokenId: null, amount: '3500', logIndex: 12, transactionHash: swapTx }
+    ]);
+    assert.deepStrictEqual(transfers.slice(3).map(t => [t.standard, t.from, t.to, t.tokenId, t.amount, t.logIndex]), [
+      ['erc721', alice, bob, '42', '1', 0],
+      ['erc1155', alice, bob, '1', '10', 1],
+      ['erc1155', alice, bob, '2', '20', 1],
+      ['erc1155', bob, alice, '2', '5', 2],
+      ['weth', bob, zero, null, '7', 3]
+    ]);
+    console.log(`Extracted ${transfers.length} transfers`);
+    console.log('✅ Transfers extracted\n');
+
+    // Test 2: Net balance deltas per transaction
+    console.log('Test 2: Balance Deltas');
+    const { balanceDeltas } = extractTransfers(swapReceipt);
+    assert.deepStrictEqual(balanceDeltas, [
+      // Alice's WETH is minted and spent in the same transaction, so it nets out
+      { transactionHash: swapTx, address: zero, token: weth, tokenId: null, delta: '-1000' },
+      { transactionHash: swapTx, address: pair, token: weth, tokenId: null, delta: '1000' },
+      { transactionHash: swapTx, address: pair, token: usdc, tokenId: null, delta: '-3500' },
+      { transactionHash: swapTx, address: alice, token: usdc, tokenId: null, delta: '3500' }
+    ]);
+    const itemDeltas = extractTransfers(nftReceipt).balanceDeltas.filter(entry => entry.token === items && entry.tokenId === '2');
+    assert.deepStrictEqual(itemDeltas.map(entry => [entry.address, entry.delta]), [[alice, '-15'], [bob, '15']]);
+    console.log('✅ Balance deltas computed\n');
+
+    // Test 3: Hex receipts and empty input
+    console.log('Test 3: Edge Cases');
+    const rpcReceipt = { transactionHash: swapTx, logs: swapReceipt.logs.map(log => ({ ...log, address: log.address.toUpperCase().replace('0X', '0x'), logIndex: '0x' + log.logIndex.toString(16) })) };
+    const fromRpc = extractTransfers(rpcReceipt).transfers;
+    assert.strictEqual(fromRpc[0].token, weth);
+    assert.strictEqual(fromRpc[2].logIndex, 12);
+    assert.deepStrictEqual(extractTransfers([]), { transfers: [], balanceDeltas: [] });
+    assert.deepStrictEqual(extractTransfers({ logs: [] }), { transfers: [], balanceDeltas: [] });
+    // A Transfer without data does not decode and is skipped
+    const malformed = erc20.encodeLog('Transfer', [alice, bob, 1]);
+    const mixedReceipt = erc20.buildReceipt([
+      { address: usdc, topics: malformed.topics, data: '0x' },
+      { address: usdc, ...erc20.encodeLog('Transfer', [bob, alice, 2]) }
+    ], { transactionHash: swapTx });
+    const mixed = extractTransfers(mixedReceipt);
+    assert.deepStrictEqual(mixed.transfers.map(t => [t.from, t.to, t.amount, t.logIndex]), [[bob, alice, '2', 1]]);
+    assert.strictEqual(mixed.balanceDeltas.length, 2);
+    console.log('✅ Edge cases handled\n');
+
+    console.log('🎉 All transfer extraction tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTransfersTests();
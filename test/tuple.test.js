@@ -0,0 +1,183 @@
+const assert = require('assert');
+const { AbiCoder } = require('ethers');
+const { ABICodec } = require('../index');
+const Encoder = require('../lib/encoder');
+const Decoder = require('../lib/decoder');
+
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+// Uniswap V3 SwapRouter.exactInputSingle (static struct)
+const exactInputSingleParams = {
+  "name": "params",
+  "type": "tuple",
+  "components": [
+    {"name": "tokenIn", "type": "address"},
+    {"name": "tokenOut", "type": "address"},
+    {"name": "fee", "type": "uint24"},
+    {"name": "recipient", "type": "address"},
+    {"name": "deadline", "type": "uint256"},
+    {"name": "amountIn", "type": "uint256"},
+    {"name": "amountOutMinimum", "type": "uint256"},
+    {"name": "sqrtPriceLimitX96", "type": "uint160"}
+  ]
+};
+
+// Dynamic struct with nested tuple and tuple array
+const orderParam = {
+  "name": "order",
+  "type": "tuple",
+  "components": [
+    {"name": "maker", "type": "address"},
+    {"name": "memo", "type": "string"},
+    {
+      "name": "fee",
+      "type": "tuple",
+      "components": [
+        {"name": "recipient", "type": "address"},
+        {"name": "bps", "type": "uint16"}
+      ]
+    },
+    {
+      "name": "items",
+      "type": "tuple[]",
+      "components": [
+        {"name": "token", "type": "address"},
+        {"name": "amount", "type": "uint256"},
+        {"name": "data", "type": "bytes"}
+      ]
+    }
+  ]
+};
+
+const routerABI = [
+  {
+    "type": "function",
+    "name": "exactInputSingle",
+    "inputs": [exactInputSingleParams],
+    "outputs": [{"name": "amountOut", "type": "uint256"}]
+  },
+  {
+    "type": "function",
+    "name": "fillOrder",
+    "inputs": [orderParam, {"name": "deadline", "type": "uint256"}],
+    "outputs": []
+  }
+];
+
+const swap = {
+  tokenIn: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+  tokenOut: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+  fee: 3000,
+  recipient: '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6',
+  deadline: 1700000000,
+  amountIn: BigInt('1000000000000000000'),
+  amountOutMinimum: 0,
+  sqrtPriceLimitX96: 0
+};
+
+const order = {
+  maker: '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de6',
+  memo: 'hello tuple',
+  fee: { recipient: '0x742d35cc6634c0532925a3b8d8e9eed89b7a6de7', bps: 25 },
+  items: [
+    { token: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', amount: 5, data: '0x' },
+    { token: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', amount: 7, data: '0xdeadbeef' }
+  ]
+};
+
+function runTupleTests() {
+  console.log('🚀 Starting Tuple Encoding Tests...\n');
+
+  try {
+    const encoder = new Encoder();
+    const decoder = new Decoder();
+    const codec = new ABICodec(routerABI);
+
+    // Test 1: Static tuple is inlined
+    console.log('Test 1: Static Tuple Encoding');
+    const staticEncoded = encoder.encodeParameters([exactInputSingleParams], [swap]);
+    assert.strictEqual(staticEncoded, abiCoder.encode(
+      ['tuple(address,address,uint24,address,uint256,uint256,uint256,uint160)'],
+      [Object.values(swap)]
+    ));
+    assert.strictEqual((staticEncoded.length - 2) / 64, 8);
+    console.log('✅ Static tuple matches ethers\n');
+
+    // Test 2: Positional-array input gives the same bytes as named-object input
+    console.log('Test 2: Positional Tuple Input');
+    const positional = encoder.encodeParameters([exactInputSingleParams], [Object.values(swap)]);
+    assert.strictEqual(positional, staticEncoded);
+    console.log('✅ Positional input matches named input\n');
+
+    // Test 3: Dynamic tuple with nested tuple and tuple array
+    console.log('Test 3: Dynamic Nested Tuple Encoding');
+    const dynamicEncoded = encoder.encodeParameters([orderParam, 'uint256'], [order, 99]);
+    const expected = abiCoder.encode(
+      ['tuple(address,string,tuple(address,uint16),tuple(address,uint256,bytes)[])', 'uint256'],
+      [[
+        order.maker,
+        order.memo,
+        [order.fee.recipient, order.fee.bps],
+        order.items.map(item => [item.token, item.amount, item.data])
+      ], 99]
+    );
+    assert.strictEqual(dynamicEncoded, expected);
+    console.log('✅ Dynamic tuple matches ethers\n');
+
+    // Test 4: Round trip through Decoder.decodeTuple
+    console.log('Test 4: Round Trip with decodeTuple');
+    const staticDecoded = decoder.decodeTuple(exactInputSingleParams, Buffer.from(staticEncoded.slice(2), 'hex'), 0);
+    assert.strictEqual(staticDecoded.value.tokenIn, swap.tokenIn);
+    assert.strictEqual(staticDecoded.value.fee, '3000');
+    assert.strictEqual(staticDecoded.value.amountIn, '1000000000000000000');
+
+    const nestedParam = {
+      "type": "tuple",
+      "components": [
+        {"name": "memo", "type": "string"},
+        {"name": "fee", "type": "tuple", "components": orderParam.components[2].components},
+        {"name": "payload", "type": "bytes"}
+      ]
+    };
+    const nestedValue = { memo: 'round trip', fee: order.fee, payload: '0x0102' };
+    const nestedEncoded = encoder.encodeParameters([nestedParam], [nestedValue]);
+    const [nestedDecoded] = decoder.decodeParameters([nestedParam], nestedEncoded);
+    assert.deepStrictEqual(nestedDecoded, {
+      memo: 'round trip',
+      fee: { recipient: order.fee.recipient, bps: '25' },
+      payload: '0x0102'
+    });
+    console.log('✅ Round trip successful\n');
+
+    // Test 5: Tuple type strings
+    console.log('Test 5: Tuple Type Strings');
+    const fromString = encoder.encodeParameters(['tuple(address recipient,uint16 bps)'], [order.fee]);
+    assert.strictEqual(fromString, abiCoder.encode(['tuple(address,uint16)'], [[order.fee.recipient, 25]]));
+    console.log('✅ Tuple type strings encoded\n');
+
+    // Test 6: Function calldata through ABICodec
+    console.log('Test 6: Function Encoding with Struct');
+    const calldata = codec.encodeFunction('exactInputSingle', [swap]);
+    assert.strictEqual(calldata.slice(10), staticEncoded.slice(2));
+    const fillCalldata = codec.encodeFunction('fillOrder', [order, 99]);
+    assert.strictEqual(fillCalldata.slice(10), expected.slice(2));
+    console.log('Calldata:', calldata);
+    console.log('✅ Struct calldata encoded\n');
+
+    // Test 7: Missing fields are rejected
+    console.log('Test 7: Invalid Tuple Input');
+    assert.throws(() => encoder.encodeParameters([orderParam.components[2]], [{ recipient: order.maker }]), /Missing tuple field: bps/);
+    assert.throws(() => encoder.encodeParameters([orderParam.components[2]], [[order.maker]]), /Tuple length mismatch/);
+    console.log('✅ Invalid tuple input rejected\n');
+
+    console.log('🎉 All tuple tests passed!');
+
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  }
+}
+
+// Run the tests
+runTupleTests();